@@ -2,461 +2,3758 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  SetLevelRequestSchema,
+  McpError,
+  ErrorCode,
 } from "@modelcontextprotocol/sdk/types.js";
 import fetch from 'node-fetch';
 import fs from 'fs';
+import http from 'http';
 import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 import * as cheerio from 'cheerio';
+import CFB from 'cfb';
 import puppeteer from 'puppeteer';
 import { Builder, By, Key, until } from 'selenium-webdriver';
 import chrome from 'selenium-webdriver/chrome.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
 
-export class KoshaApiMCPServer {
-  constructor() {
-    this.server = new Server(
-      {
-        name: "kosha-api-server",
-        version: "1.0.0",
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
+// 확장자별 파일 타입 매핑
+const FILE_TYPE_MAP = {
+  'mp4': 'video',
+  'avi': 'video',
+  'mov': 'video',
+  'wmv': 'video',
+  'pdf': 'document',
+  'doc': 'document',
+  'docx': 'document',
+  'ppt': 'document',
+  'pptx': 'document',
+  'hwp': 'document',
+  'hwpx': 'document',
+  'jpg': 'image',
+  'jpeg': 'image',
+  'png': 'image',
+  'gif': 'image',
+  'bmp': 'image',
+  'svg': 'image',
+  'webp': 'image',
+  'tiff': 'image',
+  'tif': 'image',
+  'ico': 'image',
+  'mp3': 'audio',
+  'wav': 'audio'
+};
 
-    this.apiBaseUrl = "https://apis.data.go.kr/B552468/srch/smartSearch";
-    this.setupToolHandlers();
-  }
+// fileTypes 인자로 허용되는 값
+const FILE_TYPE_FILTERS = ['image', 'document', 'video', 'audio', 'all'];
 
-  setupToolHandlers() {
-    // 도구 목록 제공
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: "kosha_search",
-            description: "안전보건공단 스마트검색 API를 사용하여 산업안전보건법령, 안전보건 가이드, 기준에 관한 규칙을 검색합니다.",
-            inputSchema: {
-              type: "object",
-              properties: {
-
-                searchValue: {
-                  type: "string",
-                  description: "검색어 (예: 사다리)",
-                },
-                category: {
-                  type: "string",
-                  description: "카테고리 (0: 전체, 1: 산업안전보건법령, 2: 산업안전보건법령 시행령, 3: 산업안전보건법령 시행규칙, 4: 산업안전보건법 기준에 관한 규칙, 5: 고시·훈령·예규, 6: 미디어, 7: KOSHA GUIDE, 8: 중대재해처벌법, 9: 중대재해처벌법 시행령, 11: 화학물질 취급정보의 작업 재해의 관련 규칙)",
-                  default: "0"
-                },
-                pageNo: {
-                  type: "string",
-                  description: "페이지번호",
-                  default: "1"
-                },
-                numOfRows: {
-                  type: "string",
-                  description: "한 페이지 결과 수",
-                  default: "100"
-                }
-              },
-              required: ["searchValue"],
-            },
-          },
+// 첨부파일 다운로드 API 주소
+const KOSHA_FILE_DOWNLOAD_URL = 'https://portal.kosha.or.kr/api/portal24/bizV/p/VCPDG01007/downloadFile';
 
+// 스마트검색 카테고리 코드와 이름
+const KOSHA_SEARCH_CATEGORIES = {
+  '0': '전체',
+  '1': '산업안전보건법령',
+  '2': '산업안전보건법령 시행령',
+  '3': '산업안전보건법령 시행규칙',
+  '4': '산업안전보건법 기준에 관한 규칙',
+  '5': '고시·훈령·예규',
+  '6': '미디어',
+  '7': 'KOSHA GUIDE',
+  '8': '중대재해처벌법',
+  '9': '중대재해처벌법 시행령',
+  '11': '화학물질 취급정보의 작업 재해의 관련 규칙'
+};
 
+// 미디어 자료 상세 페이지 주소
+const KOSHA_MEDIA_DETAIL_URL = 'https://portal.kosha.or.kr/archive/cent-archive/master-arch/master-list1/master-detail1';
 
-          {
-            name: "kosha_selenium_crawl",
-            description: "Selenium WebDriver를 사용하여 KOSHA 포털 페이지를 크롤링하고 파일을 다운로드합니다.",
-            inputSchema: {
-              type: "object",
-              properties: {
-                pageUrl: {
-                  type: "string",
-                  description: "크롤링할 KOSHA 포털 페이지 URL (예: https://portal.kosha.or.kr/archive/cent-archive/master-arch/master-list1/master-detail1?medSeq=44507)",
-                },
-                downloadPath: {
-                  type: "string",
-                  description: "다운로드할 폴더 경로 (선택사항, 기본값: ./downloads)",
-                  default: "./downloads"
-                },
-                useHeadless: {
-                  type: "boolean",
-                  description: "헤드리스 모드 사용 여부 (기본값: false - 브라우저 화면 표시)",
-                  default: false
-                },
-                autoDownload: {
-                  type: "boolean",
-                  description: "자동 다운로드 여부 (기본값: true)",
-                  default: true
-                }
-              },
-              required: ["pageUrl"],
-            },
-          },
-        ],
-      };
-    });
+// 정규화된 검색 결과의 본문 발췌 길이
+const SEARCH_SNIPPET_LENGTH = 300;
 
-    // 도구 실행 핸들러
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-      
-      switch (name) {
-        case "kosha_search":
-          return await this.executeKoshaSearch(args);
-        case "kosha_selenium_crawl":
-          return await this.executeSeleniumCrawl(args);
-        default:
-          throw new Error(`Unknown tool: ${name}`);
+// kosha_search 한 페이지 최대 결과 수 (numOfRows 상한)
+const MAX_SEARCH_NUM_OF_ROWS = 1000;
+
+// 설정 파일 기본 이름 (KOSHA_CONFIG_PATH 환경변수로 변경 가능)
+const CONFIG_FILE_NAME = 'kosha-config.json';
+
+// 다른 서비스키로 전환해야 하는 공공데이터포털 오류 코드
+const SERVICE_KEY_ROTATION_CODES = {
+  '20': 'SERVICE_ACCESS_DENIED_ERROR',
+  '22': 'LIMITED_NUMBER_OF_SERVICE_REQUESTS_EXCEEDS_ERROR',
+  '30': 'SERVICE_KEY_IS_NOT_REGISTERED_ERROR',
+  '31': 'DEADLINE_HAS_EXPIRED_ERROR',
+  '32': 'UNREGISTERED_IP_ERROR'
+};
+
+// 오류 이후 서비스키를 다시 시도하기까지의 대기 시간 (일일 한도 초과는 자정까지)
+const SERVICE_KEY_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// cacheMode 인자로 허용되는 값
+const CACHE_MODES = ['default', 'bypass', 'only-if-cached'];
+
+// 엔드포인트별 기본 캐시 유효 시간 (초)
+const DEFAULT_CACHE_TTL_SECONDS = {
+  smartSearch: 60 * 60,
+  getFileList: 10 * 60
+};
+
+// 캐시 폴더 기본 최대 용량
+const DEFAULT_CACHE_MAX_BYTES = 100 * 1024 * 1024;
+
+// 로컬 색인 파일 형식 버전
+const LOCAL_INDEX_VERSION = 1;
+
+// 로컬 색인에 텍스트를 바로 읽어 저장할 수 있는 확장자
+const PLAIN_TEXT_EXTENSIONS = ['txt', 'csv', 'md', 'json', 'xml', 'html', 'htm'];
+
+// 텍스트를 검색용 토큰으로 분리 (한글은 2-gram, 영문·숫자는 단어 단위)
+function tokenizeText(text) {
+  const normalized = String(text || '').normalize('NFKC').toLowerCase();
+  const runs = normalized.match(/[\uac00-\ud7a3]+|[a-z0-9]+(?:[-.][a-z0-9]+)*/g) || [];
+  const tokens = [];
+
+  for (const run of runs) {
+    if (/[\uac00-\ud7a3]/.test(run)) {
+      if (run.length === 1) {
+        tokens.push(run);
+        continue;
       }
-    });
+      for (let i = 0; i < run.length - 1; i++) {
+        tokens.push(run.slice(i, i + 2));
+      }
+    } else {
+      tokens.push(run);
+      // G-82-2020 같은 코드는 구성 요소로도 색인
+      if (/[-.]/.test(run)) {
+        tokens.push(...run.split(/[-.]/).filter(Boolean));
+      }
+    }
   }
+  return tokens;
+}
 
-  // URL에서 파일명과 확장자 추출하는 헬퍼 함수
-  extractFileNameFromUrl(url) {
+// 검색 결과와 다운로드 파일 텍스트를 저장하는 로컬 전문 검색 색인 (BM25 랭킹)
+class LocalIndex {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.filePath = path.join(dir, 'index.json');
+    this.documents = new Map();
+    this.postings = new Map();
+    this.docLengths = new Map();
+    this.totalLength = 0;
+    this.saveTimer = null;
+    this.load();
+  }
+
+  // 디스크에서 문서를 읽고 역색인을 메모리에 재구성
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
     try {
-      const urlObj = new URL(url);
-      const pathname = urlObj.pathname;
-      const segments = pathname.split('/');
-      let fileName = segments[segments.length - 1];
-      
-      // 파일명이 없거나 확장자가 없는 경우 기본값 설정
-      if (!fileName || !fileName.includes('.')) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        fileName = `kosha_media_${timestamp}.bin`;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const document of Object.values(data.documents || {})) {
+        this.addToIndex(document);
       }
-      
-      return fileName;
     } catch (error) {
-      // URL 파싱 실패시 기본 파일명 생성
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      return `kosha_media_${timestamp}.bin`;
+      logger.warning(`⚠️ 로컬 색인을 읽을 수 없어 새로 시작합니다: ${error.message}`, { file: this.filePath });
+      this.documents.clear();
+      this.postings.clear();
+      this.docLengths.clear();
+      this.totalLength = 0;
     }
   }
 
+  // 제목은 가중치를 높이기 위해 여러 번 반영
+  getDocumentTokens(document) {
+    const titleTokens = tokenizeText(document.title);
+    return [...titleTokens, ...titleTokens, ...titleTokens, ...tokenizeText(document.text)];
+  }
 
-
-  // KOSHA 포털 페이지 크롤링 함수
-  async executePageCrawl(args) {
-    try {
-      const {
-        pageUrl,
-        downloadPath = "./downloads",
-        useHeadless = true,
-        autoDownload = true,
-        useSelenium = false
-      } = args;
-      
-      // Selenium 사용 옵션이 활성화된 경우
-      if (useSelenium) {
-        console.log('🔄 Selenium 모드로 전환합니다...');
-        try {
-          return await this.executeSeleniumCrawl(args);
-        } catch (seleniumError) {
-          console.log('❌ Selenium 실행 실패, Puppeteer로 fallback:', seleniumError.message);
-          // Selenium 실패 시 Puppeteer로 fallback
-        }
+  addToIndex(document) {
+    const tokens = this.getDocumentTokens(document);
+    const frequencies = new Map();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+    for (const [token, frequency] of frequencies) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
       }
+      this.postings.get(token).set(document.id, frequency);
+    }
+    this.documents.set(document.id, document);
+    this.docLengths.set(document.id, tokens.length);
+    this.totalLength += tokens.length;
+  }
 
-      // URL 유효성 검증
-      if (!pageUrl) {
-        throw new Error("pageUrl은 필수 매개변수입니다.");
+  removeFromIndex(id) {
+    const document = this.documents.get(id);
+    if (!document) {
+      return;
+    }
+    for (const token of new Set(this.getDocumentTokens(document))) {
+      const posting = this.postings.get(token);
+      if (!posting) continue;
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(token);
       }
+    }
+    this.totalLength -= this.docLengths.get(id) || 0;
+    this.docLengths.delete(id);
+    this.documents.delete(id);
+  }
 
-      let validUrl;
+  // 문서 추가 또는 갱신 (같은 id는 덮어씀)
+  upsert(documents) {
+    for (const document of documents) {
+      this.removeFromIndex(document.id);
+      this.addToIndex({ ...document, indexed_at: new Date().toISOString() });
+    }
+    if (documents.length > 0) {
+      this.scheduleSave();
+    }
+  }
+
+  get(id) {
+    return this.documents.get(id) || null;
+  }
+
+  // 연속 갱신 시 디스크 쓰기를 한 번으로 모음
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
       try {
-        validUrl = new URL(pageUrl);
-        if (!validUrl.hostname.includes('kosha.or.kr')) {
-          throw new Error("KOSHA 포털 도메인이 아닙니다.");
-        }
+        this.save();
       } catch (error) {
-        throw new Error("유효하지 않은 URL입니다.");
+        logger.warning(`⚠️ 로컬 색인 저장 실패: ${error.message}`, { file: this.filePath });
       }
+    }, 500);
+  }
 
-      const startTime = Date.now();
-      const extractedLinks = [];
-      const downloadResults = [];
+  save() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      version: LOCAL_INDEX_VERSION,
+      saved_at: new Date().toISOString(),
+      documents: Object.fromEntries(this.documents)
+    }));
+    fs.renameSync(tempPath, this.filePath);
+  }
 
-      // 1. 먼저 KOSHA API로 파일 목록 조회 시도
-      const urlParams = new URLSearchParams(pageUrl.split('?')[1] || '');
-      const medSeq = urlParams.get('medSeq');
-      let apiSuccess = false;
-      
-      if (medSeq) {
-        console.log(`🔍 API 우선 시도: medSeq=${medSeq}`);
-        try {
-          const apiResult = await this.getFileListFromAPI(medSeq);
-          console.log('🔍 API 호출 결과:', JSON.stringify(apiResult, null, 2));
-          
-                      if (apiResult.success && apiResult.result === 'success') {
-            console.log('✅ API로 파일 목록 조회 성공!');
-            
-            // API 응답에서 파일 정보 추출 (이미지만)
-            const files = apiResult.payload || apiResult.data.payload || [];
-            if (Array.isArray(files) && files.length > 0) {
-              const imageFiles = [];
-              files.forEach((file, index) => {
-                const fileName = file.orgnlAtchFileNm || file.fileName || file.fileNm || `파일 ${index + 1}`;
-                
-                // 이미지 파일만 필터링
-                if (this.isImageFile(fileName)) {
-                  const fileSize = file.atcflSz ? `${(file.atcflSz / (1024 * 1024)).toFixed(2)} MB` : 'Unknown';
-                  
-                  extractedLinks.push({
-                    url: `https://portal.kosha.or.kr/api/portal24/bizV/p/VCPDG01007/downloadFile?atcflNo=${file.atcflNo}`,
-                    text: `${fileName} [${fileSize}]`,
-                    fileName: fileName,
-                    fileSize: fileSize,
-                    selector: 'KOSHA_API',
-                    type: 'image',
-                    method: 'kosha_api_success',
-                    fileInfo: file,
-                    atcflNo: file.atcflNo,
-                    serverFileName: file.atcflSrvrFileNm,
-                    serverPath: file.atcflSrvrStrgDtlPathAddr
-                  });
-                  imageFiles.push(file);
-                }
-              });
-              
-              if (imageFiles.length > 0) {
-                apiSuccess = true;
-                console.log(`✅ API로 ${imageFiles.length}개 이미지 파일 정보 추출 완료 (전체 ${files.length}개 중)`);
-              } else {
-                console.log('⚠️ API에서 이미지 파일을 찾을 수 없음 - Puppeteer 크롤링으로 전환');
-              }
-            } else {
-              console.log('⚠️ API 응답은 성공했지만 파일 목록이 비어있음 - Puppeteer 크롤링으로 전환');
-            }
-          } else {
-            console.log(`⚠️ API 응답 실패: result=${apiResult.result}, message=${apiResult.message}`);
-          }
-        } catch (apiError) {
-          console.log(`⚠️ API 호출 실패: ${apiError.message}`);
-        }
+  getStats() {
+    const documents = [...this.documents.values()];
+    return {
+      documents: documents.length,
+      search_items: documents.filter(document => document.source === 'search').length,
+      files: documents.filter(document => document.source === 'file').length,
+      terms: this.postings.size
+    };
+  }
+
+  // BM25 점수로 문서 검색 (카테고리/출처 필터 적용)
+  search(query, { categories = null, source = 'all', limit = 20 } = {}) {
+    const queryTokens = [...new Set(tokenizeText(query))];
+    if (queryTokens.length === 0 || this.documents.size === 0) {
+      return [];
+    }
+
+    const k1 = 1.2;
+    const b = 0.75;
+    const documentCount = this.documents.size;
+    const averageLength = this.totalLength / documentCount || 1;
+    const scores = new Map();
+    const matchedTokens = new Map();
+
+    for (const token of queryTokens) {
+      const posting = this.postings.get(token);
+      if (!posting) continue;
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, frequency] of posting) {
+        const length = this.docLengths.get(id) || 0;
+        const score = idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + score);
+        matchedTokens.set(id, (matchedTokens.get(id) || 0) + 1);
       }
+    }
 
-      // 2. API가 실패한 경우에만 Puppeteer 크롤링 시도
-      if (!apiSuccess) {
-        console.log('🔄 API 실패, Puppeteer 크롤링으로 전환...');
-        
-        // Puppeteer로 페이지 크롤링 (사람처럼 보이게 설정)
-        const browser = await puppeteer.launch({ 
-        headless: useHeadless,
-        devtools: !useHeadless,
-        slowMo: useHeadless ? 0 : 250, // 더 천천히 동작 (사람처럼)
-        defaultViewport: { width: 1920, height: 1080 }, // 일반적인 해상도
-        args: [
-          '--no-sandbox', 
-          '--disable-setuid-sandbox',
-          // 봇 감지 우회를 위해 일부 옵션 제거
-          '--disable-blink-features=AutomationControlled', // 자동화 감지 비활성화
-          '--disable-features=VizDisplayCompositor',
-          '--start-maximized',
-          '--no-first-run',
-          '--no-default-browser-check',
-          '--disable-infobars',
-          '--disable-extensions'
-        ]
-      });
-      
-      try {
-        const page = await browser.newPage();
-        
-        // 봇 감지 우회 설정
-        await page.evaluateOnNewDocument(() => {
-          // webdriver 속성 제거
-          Object.defineProperty(navigator, 'webdriver', {
-            get: () => undefined,
-          });
-          
-          // Chrome 런타임 정보 추가
-          window.chrome = {
-            runtime: {}
-          };
-          
-          // 권한 API 모킹
-          Object.defineProperty(navigator, 'permissions', {
-            get: () => ({
-              query: () => Promise.resolve({ state: 'granted' }),
-            }),
-          });
-          
-          // 플러그인 정보 추가
-          Object.defineProperty(navigator, 'plugins', {
-            get: () => [1, 2, 3, 4, 5],
-          });
-        });
-        
-        // 실제 브라우저와 동일한 User Agent 설정
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        
-        // 추가 헤더 설정 (실제 브라우저처럼)
-        await page.setExtraHTTPHeaders({
-          'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-          'Sec-Fetch-Site': 'none',
-          'Sec-Fetch-Mode': 'navigate',
-          'Sec-Fetch-User': '?1',
-          'Sec-Fetch-Dest': 'document'
-        });
-        
-        // 사람처럼 페이지 접근
-        console.log('🌐 페이지 로딩 시작...');
-        await page.goto(pageUrl, { 
-          waitUntil: 'networkidle0', // 네트워크가 완전히 안정될 때까지 대기
-          timeout: 30000
-        });
-        
-        // 사람처럼 스크롤하면서 페이지 확인
-        console.log('📜 페이지 스크롤 중 (사람처럼 동작)...');
-        await page.evaluate(async () => {
-          // 천천히 스크롤 다운
-          for (let i = 0; i < 3; i++) {
-            window.scrollBy(0, window.innerHeight / 3);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
-          // 다시 위로
-          window.scrollTo(0, 0);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        });
-        
-        // 파일 목록이 로드될 때까지 대기
-        try {
-          await page.waitForSelector('ul.fileList.detail li', { timeout: 10000 });
-          console.log('✅ 파일 목록 로드 완료');
-        } catch (error) {
-          console.log('⚠️ 파일 목록 로딩 대기 중 타임아웃, 계속 진행...');
-        }
-        
-        // 동적 콘텐츠 로딩 대기 (최적화)
-        console.log('⏳ 동적 콘텐츠 로딩 대기 중... (3초)');
-        await page.waitForTimeout(3000); // 3초로 단축
-        
-        // 페이지 내용 가져오기
-        const content = await page.content();
-        
-        // Cheerio로 HTML 파싱
-        const $ = cheerio.load(content);
-        
-        // 이미지 파일 전용 링크 패턴 검색
-        const linkSelectors = [
-          // 이미지 파일 확장자 링크
-          'a[href*=".jpg"]',
-          'a[href*=".jpeg"]',
-          'a[href*=".png"]',
-          'a[href*=".gif"]',
-          'a[href*=".bmp"]',
-          'a[href*=".svg"]',
-          'a[href*=".webp"]',
-          'a[href*=".tiff"]',
-          'a[href*=".tif"]',
-          'a[href*=".ico"]',
-          // 이미지 관련 셀렉터
-          'img[src]',                  // 이미지 태그 직접
-          'a[href*="image"]',          // URL에 image 포함
-          'a[href*="img"]',            // URL에 img 포함
-          'a[href*="photo"]',          // URL에 photo 포함
-          'a[href*="picture"]',        // URL에 picture 포함
-          '.image-download',           // 이미지 다운로드 클래스
-          '.img-download',
-          '.photo-download'
-        ];
+    const phrase = String(query).normalize('NFKC').toLowerCase().trim();
+    const results = [];
+    for (const [id, baseScore] of scores) {
+      const document = this.documents.get(id);
+      if (source !== 'all' && document.source !== source) continue;
+      if (categories && !categories.includes(String(document.category_code))) continue;
 
-        // KOSHA 포털 특화 파일 정보 추출
-        const fileInfos = [];
-        
-        // 1. 파일 목록에서 파일 정보 추출 (실제 HTML 구조 기반)
-        $('ul.fileList.detail li').each((i, element) => {
-          const $element = $(element);
-          const $span = $element.find('span').first();
-          const downloadBtn = $element.find('button.download').first();
-          
-          if ($span.length > 0 && downloadBtn.length > 0) {
-            const fileText = $span.text().trim();
-            
-            // 파일명과 크기 추출: "[파일명] [크기]" 형식
-            const fileMatch = fileText.match(/^(.+?)\s*\[(.+?)\]$/);
-            if (fileMatch && fileMatch[1].includes('.')) { // 실제 파일 확장자가 있는지 확인
-              const fileName = fileMatch[1].trim();
-              const fileSize = fileMatch[2].trim();
-              
-              // 이미지 파일만 필터링
-              if (this.isImageFile(fileName)) {
-                fileInfos.push({
-                  fileName: fileName,
-                  fileSize: fileSize,
-                  text: fileText,
-                  downloadButton: downloadBtn,
-                  selector: 'ul.fileList.detail li button.download',
-                  type: this.getFileTypeFromFileName(fileName)
-                });
-              }
-            }
-          }
-        });
+      // 검색어 전체가 그대로 포함되면 가산점, 일치한 토큰 비율로 보정
+      let score = baseScore * (matchedTokens.get(id) / queryTokens.length);
+      if (String(document.title || '').toLowerCase().includes(phrase)) score += 2;
+      if (String(document.text || '').toLowerCase().includes(phrase)) score += 1;
+      results.push({ document, score });
+    }
 
-        // 2. 일반적인 링크 추출 (이미지만)
-        linkSelectors.forEach(selector => {
-          $(selector).each((i, element) => {
-            const $element = $(element);
-            
-            if (selector === 'img[src]') {
-              // img 태그의 src 속성 처리
-              const src = $element.attr('src');
-              const alt = $element.attr('alt') || '이미지';
-              
-              if (src) {
-                let fullUrl;
-                try {
-                  fullUrl = new URL(src, pageUrl).toString();
-                  const fileName = this.extractFileNameFromUrl(fullUrl);
-                  
-                  if (this.isImageFile(fileName)) {
-                    extractedLinks.push({
-                      url: fullUrl,
-                      text: alt,
-                      fileName: fileName,
-                      selector: selector,
-                      type: 'image'
-                    });
-                  }
-                } catch (error) {
-                  // URL 생성 실패시 무시
-                }
-              }
-            } else {
-              // 링크 태그 처리
-              const href = $element.attr('href');
-              const text = $element.text().trim();
-              
-              if (href) {
-                let fullUrl;
-                try {
-                  fullUrl = new URL(href, pageUrl).toString();
-                  const fileName = this.extractFileNameFromUrl(fullUrl);
-                  
-                  // 이미지 파일만 필터링
-                  if (this.isImageFile(fileName)) {
-                    extractedLinks.push({
-                      url: fullUrl,
-                      text: text || '제목 없음',
-                      fileName: fileName,
-                      selector: selector,
-                      type: 'image'
-                    });
-                  }
+    results.sort((left, right) => right.score - left.score);
+    return results.slice(0, limit);
+  }
+}
+
+// MCP 리소스 URI 스킴
+const RESOURCE_URI_SCHEME = 'kosha://';
+
+// 리소스를 찾을 수 없을 때의 JSON-RPC 오류 코드 (MCP 규격)
+const RESOURCE_NOT_FOUND_ERROR_CODE = -32002;
+
+// resources/list 한 페이지당 항목 수
+const RESOURCE_LIST_PAGE_SIZE = 100;
+
+// resources/read로 반환할 수 있는 최대 파일 크기 (KOSHA_RESOURCE_MAX_BYTES로 변경 가능)
+const DEFAULT_RESOURCE_MAX_BYTES = 20 * 1024 * 1024;
+
+// 확장자별 MIME 타입
+const MIME_TYPES = {
+  'pdf': 'application/pdf',
+  'hwp': 'application/x-hwp',
+  'hwpx': 'application/hwp+zip',
+  'doc': 'application/msword',
+  'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'ppt': 'application/vnd.ms-powerpoint',
+  'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'zip': 'application/zip',
+  'mp4': 'video/mp4',
+  'avi': 'video/x-msvideo',
+  'mov': 'video/quicktime',
+  'wmv': 'video/x-ms-wmv',
+  'mp3': 'audio/mpeg',
+  'wav': 'audio/wav',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'png': 'image/png',
+  'gif': 'image/gif',
+  'bmp': 'image/bmp',
+  'svg': 'image/svg+xml',
+  'webp': 'image/webp',
+  'tiff': 'image/tiff',
+  'tif': 'image/tiff',
+  'ico': 'image/x-icon',
+  'txt': 'text/plain',
+  'csv': 'text/csv',
+  'md': 'text/markdown',
+  'json': 'application/json',
+  'xml': 'application/xml',
+  'html': 'text/html',
+  'htm': 'text/html'
+};
+
+// 안전보건 업무용 프롬프트 정의 (categories: 참고할 kosha_search 카테고리)
+const KOSHA_PROMPTS = [
+  {
+    name: 'risk_assessment',
+    title: '위험성평가',
+    description: '작업(공정)에 대한 위험성평가표 초안을 관련 기준, 고시, KOSHA GUIDE를 근거로 작성합니다.',
+    categories: ['4', '5', '7'],
+    arguments: [
+      { name: 'task', description: '평가할 작업 또는 공정 (예: 이동식 사다리를 이용한 천장 배관 작업)', required: true },
+      { name: 'workplace', description: '사업장 또는 업종 정보 (예: 건설현장, 식품 제조업)', required: false },
+      { name: 'equipment', description: '사용하는 기계·설비·도구 (예: 이동식 사다리, 고소작업대)', required: false }
+    ]
+  },
+  {
+    name: 'safety_rule_articles',
+    title: '안전보건기준 조문 요약',
+    description: '설비(기계·기구)에 적용되는 산업안전보건기준에 관한 규칙 조문을 찾아 요약합니다.',
+    categories: ['4', '7'],
+    arguments: [
+      { name: 'equipment', description: '대상 설비 또는 기계·기구 (예: 컨베이어, 크레인, 지게차)', required: true },
+      { name: 'hazard', description: '특히 확인할 위험 요인 (예: 끼임, 추락, 감전)', required: false }
+    ]
+  },
+  {
+    name: 'serious_accident_checklist',
+    title: '중대재해처벌법 의무 점검표',
+    description: '사업장에 대한 중대재해처벌법상 경영책임자 등의 안전보건 확보의무 점검표를 작성합니다.',
+    categories: ['8', '9', '1'],
+    arguments: [
+      { name: 'site', description: '대상 사업장 (예: ○○물류센터)', required: true },
+      { name: 'industry', description: '업종 (예: 물류, 제조, 건설)', required: false },
+      { name: 'workers', description: '상시 근로자 수 (적용 범위 판단에 사용)', required: false }
+    ]
+  }
+];
+
+// kosha_extract_text 기본 최대 반환 글자 수
+const DEFAULT_EXTRACT_MAX_CHARS = 100000;
+
+// 다운로드 엔진 기본값 (설정 파일 download 항목 또는 KOSHA_DOWNLOAD_* 환경변수로 변경)
+const DEFAULT_DOWNLOAD_CONCURRENCY = 3;
+const DEFAULT_DOWNLOAD_RETRIES = 4;
+const DEFAULT_DOWNLOAD_RETRY_DELAY_MS = 1000;
+const MAX_DOWNLOAD_RETRY_DELAY_MS = 30000;
+const DEFAULT_DOWNLOAD_IDLE_TIMEOUT_MS = 60000;
+
+// 다운로드 중인 파일의 임시 확장자 (완료 후 최종 이름으로 변경)
+const DOWNLOAD_TEMP_SUFFIX = '.part';
+
+// 첨부파일 다운로드 요청 헤더 (이어받기 위해 압축 전송은 요청하지 않음)
+const DOWNLOAD_REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
+  'Accept': '*/*',
+  'Accept-Encoding': 'identity',
+  'Accept-Language': 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7',
+  'Referer': 'https://portal.kosha.or.kr/',
+  'Origin': 'https://portal.kosha.or.kr'
+};
+
+// 다운로드 폴더에 저장하는 매니페스트 파일 이름
+const DOWNLOAD_MANIFEST_FILE_NAME = '.kosha-manifest.json';
+const DOWNLOAD_MANIFEST_VERSION = 1;
+
+// 자료 일괄 동기화 상태 파일 이름과 기본값
+const ARCHIVE_SYNC_STATE_FILE_NAME = '.kosha-sync-state.json';
+const ARCHIVE_SYNC_STATE_VERSION = 1;
+const DEFAULT_ARCHIVE_SYNC_DELAY_MS = 1000;
+const DEFAULT_ARCHIVE_SYNC_MAX_ITEMS = 100;
+const MAX_ARCHIVE_SYNC_RANGE = 5000;
+
+// 다시 시작할 때 건너뛰는 완료 상태
+const ARCHIVE_SYNC_COMPLETED_STATUSES = ['done', 'no_files'];
+
+// 저장 파일명 최대 길이 (UTF-8 바이트, 충돌 방지 접미사 여유 포함)
+const MAX_FILE_NAME_BYTES = 200;
+
+// Windows에서 파일명으로 쓸 수 없는 장치 이름
+const RESERVED_FILE_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Content-Disposition에 쓰이는 한국어 문자셋 이름 (WHATWG euc-kr 디코더가 CP949 확장까지 처리)
+const KOREAN_CHARSET_ALIASES = ['euc-kr', 'cp949', 'ms949', 'uhc', 'windows-949', 'x-windows-949', 'ks_c_5601-1987'];
+
+// 다시 시도할 HTTP 상태 코드
+const RETRYABLE_HTTP_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+// 브라우저 엔진 (Puppeteer와 Selenium을 같은 드라이버 인터페이스로 사용)
+const BROWSER_ENGINES = ['puppeteer', 'selenium'];
+const DEFAULT_BROWSER_ENGINE = 'puppeteer';
+
+// PATH에서 찾을 Chrome/Chromium 실행 파일 이름
+const CHROME_BINARY_NAMES = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome'];
+
+// 운영체제별 Chrome 기본 설치 경로
+const CHROME_INSTALL_PATHS = {
+  win32: [process.env.PROGRAMFILES, process.env['PROGRAMFILES(X86)'], process.env.LOCALAPPDATA]
+    .filter(Boolean)
+    .map(dir => path.join(dir, 'Google', 'Chrome', 'Application', 'chrome.exe')),
+  darwin: [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium'
+  ],
+  linux: ['/usr/bin/google-chrome', '/usr/bin/google-chrome-stable', '/usr/bin/chromium', '/usr/bin/chromium-browser', '/snap/bin/chromium']
+};
+
+// 두 엔진이 공통으로 쓰는 브라우저 실행 옵션 (봇 감지 회피 포함)
+const BROWSER_LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-features=VizDisplayCompositor',
+  '--no-first-run',
+  '--no-default-browser-check',
+  '--disable-infobars',
+  '--disable-extensions',
+  '--window-size=1920,1080'
+];
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36';
+
+const BROWSER_EXTRA_HEADERS = {
+  'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8'
+};
+
+// 전체 다운로드 ZIP 묶음 압축 해제 한도 (항목 수, 풀었을 때 전체 크기)
+const MAX_BUNDLE_ENTRIES = 10000;
+const MAX_BUNDLE_EXTRACT_BYTES = 4 * 1024 * 1024 * 1024;
+
+// 메모리로 읽는 ZIP 항목(DOCX/HWPX/PPTX 본문 XML 등)의 최대 크기
+const MAX_ZIP_ENTRY_READ_BYTES = 256 * 1024 * 1024;
+
+// 진행 알림 중 세부 진행(바이트 수 등)을 보내는 최소 간격
+const PROGRESS_NOTE_INTERVAL_MS = 1000;
+
+// 로그 수준 (MCP logging/setLevel과 같은 RFC 5424 순서, 뒤로 갈수록 심각)
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const DEFAULT_LOG_LEVEL = 'info';
+const DEFAULT_LOG_FILE = path.join('.kosha-logs', 'kosha-mcp.log');
+const MAX_LOG_FILE_BYTES = 10 * 1024 * 1024;
+const MCP_LOGGER_NAME = 'kosha-api-server';
+
+// 전송 방식 (stdio: 클라이언트가 프로세스를 직접 실행, http: Streamable HTTP로 여러 클라이언트가 한 인스턴스 공유)
+const MCP_TRANSPORTS = ['stdio', 'http'];
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const DEFAULT_HTTP_PORT = 3000;
+const HTTP_MCP_PATH = '/mcp';
+const HTTP_LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1', '[::1]'];
+
+// HTTP 세션 제한 (동시 세션 수, 요청 없이 유지되는 최대 시간)
+const MAX_HTTP_SESSIONS = 100;
+const HTTP_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// 브라우저 다운로드 완료 판정 (진행 중 파일 확장자, 안정 시간, 변화 없음 제한, 최대 대기)
+const BROWSER_PARTIAL_DOWNLOAD_PATTERN = /\.(crdownload|part|tmp)$/i;
+const BROWSER_DOWNLOAD_STABLE_MS = 3000;
+const BROWSER_DOWNLOAD_IDLE_TIMEOUT_MS = 60000;
+const BROWSER_DOWNLOAD_MAX_WAIT_MS = 30 * 60 * 1000;
+
+// 페이지 스크립트보다 먼저 실행되는 자동화 흔적 제거 스크립트
+const BROWSER_STEALTH_SCRIPT = `
+  Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+  window.chrome = window.chrome || { runtime: {} };
+  Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
+`;
+
+// 한글(HWP 5.0) 레코드 태그: HWPTAG_BEGIN(0x10) + 51
+const HWPTAG_PARA_TEXT = 0x10 + 51;
+
+// 한글 문단 텍스트에서 8 WCHAR를 차지하는 인라인/확장 컨트롤 문자
+const HWP_INLINE_CONTROL_CHARS = [4, 5, 6, 7, 8, 9, 19, 20];
+const HWP_EXTENDED_CONTROL_CHARS = [1, 2, 3, 11, 12, 14, 15, 16, 17, 18, 21, 22, 23];
+
+// KOSHA GUIDE 스마트검색 카테고리
+const KOSHA_GUIDE_CATEGORY = '7';
+
+// KOSHA GUIDE 분야 기호와 분야명
+const KOSHA_GUIDE_FIELDS = {
+  'A': '작업환경 측정·분석',
+  'C': '건설안전',
+  'E': '전기·계장',
+  'F': '화재보호',
+  'G': '일반안전',
+  'H': '건강진단 및 관리',
+  'M': '기계안전',
+  'P': '공정안전',
+  'W': '작업환경 관리',
+  'X': '리스크 관리'
+};
+
+// 조문 조회가 가능한 법령 카테고리
+const KOSHA_LAW_CATEGORIES = ['1', '2', '3', '4', '5', '8', '9'];
+
+// 법령명으로 카테고리 추정 (구체적인 이름을 먼저 검사)
+const KOSHA_LAW_NAME_CATEGORIES = [
+  [/중대재해.*시행령/, '9'],
+  [/중대재해/, '8'],
+  [/산업안전보건기준에관한규칙|안전보건규칙/, '4'],
+  [/산업안전보건법.*시행규칙/, '3'],
+  [/산업안전보건법.*시행령/, '2'],
+  [/산업안전보건법/, '1'],
+  [/고시|훈령|예규|지침|기준$/, '5']
+];
+
+// 항 번호 표기 (①~⑳)
+const LAW_PARAGRAPH_MARKS = '①②③④⑤⑥⑦⑧⑨⑩⑪⑫⑬⑭⑮⑯⑰⑱⑲⑳';
+
+// 본문에서 지침 코드를 찾는 패턴 (예: G-82-2020, M-185-2015)
+const KOSHA_GUIDE_CODE_PATTERN = /(?<![A-Za-z])([A-Za-z])\s*-\s*(\d{1,3})\s*-\s*(\d{4})(?!\d)/g;
+
+// 도구 오류 결과의 error_code 값 (클라이언트가 오류 종류에 따라 처리를 나눌 수 있도록 값을 바꾸지 않음)
+const TOOL_ERROR_CODES = {
+  INVALID_ARGUMENTS: 'INVALID_ARGUMENTS',
+  UNKNOWN_TOOL: 'UNKNOWN_TOOL',
+  CANCELLED: 'CANCELLED',
+  CACHE_MISS: 'CACHE_MISS',
+  SERVICE_KEY_UNAVAILABLE: 'SERVICE_KEY_UNAVAILABLE',
+  NOT_FOUND: 'NOT_FOUND',
+  TOOL_FAILED: 'TOOL_FAILED'
+};
+
+// 허용된 폴더 안에 있어야 하는 경로 인자
+const PATH_ARGUMENT_NAMES = ['downloadPath', 'filePath'];
+
+// MCP 도구 정의 (ListTools 응답과 도구 인자 검증에 함께 사용)
+const KOSHA_TOOLS = [
+  {
+    name: "kosha_search",
+    description: "안전보건공단 스마트검색 API를 사용하여 산업안전보건법령, 안전보건 가이드, 기준에 관한 규칙을 검색합니다. 결과는 제목, 카테고리, 본문 발췌, 문서 ID, 포털 URL, 날짜로 정규화된 items 목록으로 반환됩니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        searchValue: {
+          type: "string",
+          description: "검색어 (예: 사다리)",
+          minLength: 1
+        },
+        category: {
+          anyOf: [
+            { type: "string", enum: Object.keys(KOSHA_SEARCH_CATEGORIES) },
+            { type: "array", items: { type: "string", enum: Object.keys(KOSHA_SEARCH_CATEGORIES) }, minItems: 1 }
+          ],
+          description: "카테고리 (0: 전체, 1: 산업안전보건법령, 2: 산업안전보건법령 시행령, 3: 산업안전보건법령 시행규칙, 4: 산업안전보건법 기준에 관한 규칙, 5: 고시·훈령·예규, 6: 미디어, 7: KOSHA GUIDE, 8: 중대재해처벌법, 9: 중대재해처벌법 시행령, 11: 화학물질 취급정보의 작업 재해의 관련 규칙). 배열로 여러 카테고리를 지정하면 동시에 검색하여 카테고리별 groups로 반환합니다 (예: [\"1\", \"7\", \"6\"]).",
+          default: "0"
+        },
+        pageNo: {
+          type: "integer",
+          description: "페이지번호 (숫자 문자열도 허용)",
+          default: 1,
+          minimum: 1
+        },
+        numOfRows: {
+          type: "integer",
+          description: `한 페이지 결과 수 (숫자 문자열도 허용, 최대 ${MAX_SEARCH_NUM_OF_ROWS})`,
+          default: 100,
+          minimum: 1,
+          maximum: MAX_SEARCH_NUM_OF_ROWS
+        },
+        includeRaw: {
+          type: "boolean",
+          description: "API 원본 응답(data, raw_response)을 함께 반환할지 여부 (기본값: false)",
+          default: false
+        },
+        maxResults: {
+          type: "integer",
+          description: "가져올 최대 결과 수. 지정하면 pageNo부터 필요한 만큼 페이지를 자동으로 순회합니다.",
+          minimum: 1
+        },
+        fetchAll: {
+          type: "boolean",
+          description: "전체 결과를 가져올 때까지 페이지를 자동으로 순회할지 여부 (maxPages 상한 적용, 기본값: false)",
+          default: false
+        },
+        maxPages: {
+          type: "integer",
+          description: "자동 순회 시 조회할 최대 페이지 수 (기본값: 10, KOSHA_SEARCH_MAX_PAGES로 변경 가능)",
+          minimum: 1
+        },
+        cacheMode: {
+          type: "string",
+          enum: CACHE_MODES,
+          description: "응답 캐시 사용 방식 (default: 유효한 캐시 사용, bypass: 캐시를 읽지 않고 새로 조회 후 갱신, only-if-cached: 캐시만 사용)",
+          default: "default"
+        }
+      },
+      required: ["searchValue"],
+      additionalProperties: false
+    },
+  },
+
+  {
+    name: "kosha_page_crawl",
+    description: "KOSHA 포털 자료 페이지의 첨부파일을 조회하고 다운로드합니다. medSeq가 있으면 파일 목록 API를 먼저 사용하고, 실패 시 Puppeteer로 페이지를 크롤링합니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pageUrl: {
+          type: "string",
+          description: "크롤링할 KOSHA 포털 페이지 URL (예: https://portal.kosha.or.kr/archive/cent-archive/master-arch/master-list1/master-detail1?medSeq=44507)",
+          pattern: "^https?://"
+        },
+        fileTypes: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: FILE_TYPE_FILTERS
+          },
+          description: "가져올 파일 타입 (image: 이미지, document: PDF·HWP·DOC·PPT 문서, video: 동영상, audio: 음성, all: 전체)",
+          default: ["all"]
+        },
+        downloadPath: {
+          type: "string",
+          description: "다운로드할 폴더 경로 (선택사항, 기본값: ./downloads, 허용된 폴더 안만 가능)",
+          default: "./downloads"
+        },
+        useHeadless: {
+          type: "boolean",
+          description: "헤드리스 모드 사용 여부 (기본값: true)",
+          default: true
+        },
+        autoDownload: {
+          type: "boolean",
+          description: "자동 다운로드 여부 (기본값: true)",
+          default: true
+        },
+        engine: {
+          type: "string",
+          enum: BROWSER_ENGINES,
+          description: `API 실패 시 페이지를 렌더링할 브라우저 엔진 (기본값: 환경변수 KOSHA_BROWSER_ENGINE 또는 ${DEFAULT_BROWSER_ENGINE})`
+        },
+        useSelenium: {
+          type: "boolean",
+          description: "Selenium 전체 다운로드를 먼저 시도할지 여부 (실패 시 페이지 크롤링으로 fallback, 기본값: false)",
+          default: false
+        },
+        force: {
+          type: "boolean",
+          description: "다운로드 매니페스트와 관계없이 모든 첨부파일을 다시 받을지 여부 (기본값: false - 변경된 파일만 다운로드)",
+          default: false
+        },
+        extractArchives: {
+          type: "boolean",
+          description: "받은 ZIP 묶음을 <downloadPath>/<medSeq>/ 폴더에 자동으로 풀지 여부 (기본값: true)",
+          default: true
+        },
+        cacheMode: {
+          type: "string",
+          enum: CACHE_MODES,
+          description: "파일 목록 API 캐시 사용 방식 (default, bypass, only-if-cached)",
+          default: "default"
+        }
+      },
+      required: ["pageUrl"],
+      additionalProperties: false
+    },
+  },
+
+  {
+    name: "kosha_file_list",
+    description: "KOSHA 포털 자료(medSeq)의 첨부파일 목록을 다운로드 없이 조회합니다. 파일명, 크기, 타입, 다운로드 URL을 반환합니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        medSeq: {
+          type: "string",
+          description: "조회할 자료 번호 (예: 44507)",
+          pattern: "^[0-9]+$"
+        },
+        medSeqs: {
+          type: "array",
+          items: {
+            type: "string",
+            pattern: "^[0-9]+$"
+          },
+          description: "여러 자료를 한 번에 조회할 때 사용하는 자료 번호 목록",
+          minItems: 1
+        },
+        fileTypes: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: FILE_TYPE_FILTERS
+          },
+          description: "반환할 파일 타입 (image, document, video, audio, all)",
+          default: ["all"]
+        },
+        cacheMode: {
+          type: "string",
+          enum: CACHE_MODES,
+          description: "파일 목록 API 캐시 사용 방식 (default, bypass, only-if-cached)",
+          default: "default"
+        }
+      },
+      additionalProperties: false
+    },
+  },
+
+  {
+    name: "kosha_local_search",
+    description: "지금까지 조회한 검색 결과와 다운로드한 파일 텍스트를 저장한 로컬 색인에서 검색합니다. 공공데이터포털 API가 느리거나 한도를 초과했을 때도 사용할 수 있습니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "검색어 (한글은 2글자 단위 n-gram으로 매칭)",
+          minLength: 1
+        },
+        category: {
+          anyOf: [
+            { type: "string", enum: Object.keys(KOSHA_SEARCH_CATEGORIES) },
+            { type: "array", items: { type: "string", enum: Object.keys(KOSHA_SEARCH_CATEGORIES) }, minItems: 1 }
+          ],
+          description: "카테고리 필터 (kosha_search와 동일한 코드, 배열로 여러 개 지정 가능, 0 또는 미지정 시 전체)",
+        },
+        source: {
+          type: "string",
+          enum: ["all", "search", "file"],
+          description: "검색 대상 (all: 전체, search: 검색 결과 항목, file: 다운로드 파일)",
+          default: "all"
+        },
+        limit: {
+          type: "integer",
+          description: "최대 결과 수 (기본값: 20, 최대 100)",
+          default: 20,
+          minimum: 1,
+          maximum: 100
+        }
+      },
+      required: ["query"],
+      additionalProperties: false
+    },
+  },
+
+  {
+    name: "kosha_extract_text",
+    description: "다운로드한 첨부파일(PDF, HWP, HWPX, DOCX, PPTX) 또는 첨부파일 번호(atcflNo)를 페이지/구역/슬라이드 경계가 표시된 텍스트로 변환합니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        filePath: {
+          type: "string",
+          description: "텍스트를 추출할 로컬 파일 경로 (filePath 또는 atcflNo 중 하나 필수, 허용된 폴더 안의 파일만 가능)",
+          minLength: 1
+        },
+        atcflNo: {
+          type: "string",
+          description: "첨부파일 번호 (지정 시 파일을 내려받은 뒤 추출)",
+          minLength: 1
+        },
+        medSeq: {
+          type: "string",
+          description: "atcflNo가 속한 게시물 번호 (선택사항, 원본 파일명 확인에 사용)",
+          pattern: "^[0-9]+$"
+        },
+        downloadPath: {
+          type: "string",
+          description: "atcflNo로 내려받을 폴더 경로 (선택사항, 기본값: ./downloads, 허용된 폴더 안만 가능)",
+          default: "./downloads"
+        },
+        maxChars: {
+          type: "integer",
+          description: `반환할 최대 글자 수 (기본값: ${DEFAULT_EXTRACT_MAX_CHARS})`,
+          default: DEFAULT_EXTRACT_MAX_CHARS,
+          minimum: 1
+        }
+      },
+      additionalProperties: false
+    },
+  },
+
+  {
+    name: "kosha_guide",
+    description: "KOSHA GUIDE 지침 코드(예: G-82-2020, M-185-2015)로 지침을 찾아 최신 개정본의 정보와 첨부파일 목록을 반환합니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        code: {
+          type: "string",
+          description: "지침 코드 (분야 기호-번호-연도, 연도를 생략하면 최신 개정본 선택)",
+          minLength: 1
+        },
+        cacheMode: {
+          type: "string",
+          enum: CACHE_MODES,
+          description: "캐시 사용 방식 (default: 유효한 캐시 사용, bypass: 항상 새로 조회, only-if-cached: 캐시만 사용)",
+          default: "default"
+        }
+      },
+      required: ["code"],
+      additionalProperties: false
+    },
+  },
+
+  {
+    name: "kosha_law_article",
+    description: "법령명과 조·항·호 번호로 특정 조문(예: 산업안전보건기준에 관한 규칙 제42조)을 찾아 해당 조문 본문과 편·장·절 위치, 필요 시 앞뒤 조문을 반환합니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        lawName: {
+          type: "string",
+          description: "법령명 (예: 산업안전보건법, 산업안전보건기준에 관한 규칙, 중대재해 처벌 등에 관한 법률 시행령)",
+          minLength: 1
+        },
+        article: {
+          type: ["string", "integer"],
+          description: "조 번호 (예: 42, 제42조, 42의2)",
+        },
+        paragraph: {
+          type: "integer",
+          description: "항 번호 (선택사항, 예: 1 → ①)",
+          minimum: 1,
+          maximum: 20
+        },
+        item: {
+          type: ["string", "integer"],
+          description: "호 번호 (선택사항, 예: 3, 3의2)",
+        },
+        category: {
+          type: "string",
+          enum: KOSHA_LAW_CATEGORIES,
+          description: "검색할 법령 카테고리 (선택사항, 생략 시 법령명으로 추정)",
+        },
+        includeNeighbors: {
+          type: "boolean",
+          description: "앞뒤 조문 포함 여부 (기본값: false)",
+          default: false
+        },
+        neighborCount: {
+          type: "integer",
+          description: "includeNeighbors 사용 시 앞뒤로 포함할 조문 수 (기본값: 1)",
+          default: 1,
+          minimum: 1,
+          maximum: 5
+        },
+        cacheMode: {
+          type: "string",
+          enum: CACHE_MODES,
+          description: "캐시 사용 방식 (default: 유효한 캐시 사용, bypass: 항상 새로 조회, only-if-cached: 캐시만 사용)",
+          default: "default"
+        }
+      },
+      required: ["lawName", "article"],
+      additionalProperties: false
+    },
+  },
+
+  {
+    name: "kosha_archive_sync",
+    description: "여러 KOSHA 포털 자료(medSeq)의 첨부파일을 한 번에 내려받아 로컬 미러를 만듭니다. medSeq 목록, 번호 범위 또는 자료 목록 페이지 URL을 받아 대기열로 처리하고, 중단 후 다시 실행하면 끝난 자료는 건너뜁니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        medSeqs: {
+          type: "array",
+          items: {
+            type: ["string", "integer"],
+            pattern: "^[0-9]+$",
+            minimum: 1
+          },
+          description: "동기화할 자료 번호 목록",
+          minItems: 1
+        },
+        medSeqRange: {
+          type: "object",
+          properties: {
+            start: { type: "integer", minimum: 1 },
+            end: { type: "integer", minimum: 1 }
+          },
+          required: ["start", "end"],
+          additionalProperties: false,
+          description: `동기화할 자료 번호 범위 (start~end 포함, 최대 ${MAX_ARCHIVE_SYNC_RANGE}개)`,
+        },
+        masterListUrl: {
+          type: "string",
+          description: "KOSHA 포털 자료 목록 페이지 URL (https, kosha.or.kr 도메인만 가능, 페이지에 연결된 medSeq를 모두 대상에 추가)",
+          pattern: "^https://"
+        },
+        engine: {
+          type: "string",
+          enum: BROWSER_ENGINES,
+          description: `목록 페이지가 스크립트로 그려질 때 사용할 브라우저 엔진 (기본값: 환경변수 KOSHA_BROWSER_ENGINE 또는 ${DEFAULT_BROWSER_ENGINE})`
+        },
+        downloadPath: {
+          type: "string",
+          description: "미러 폴더 경로 (선택사항, 기본값: ./downloads, 허용된 폴더 안만 가능)",
+          default: "./downloads"
+        },
+        perItemFolder: {
+          type: "boolean",
+          description: "자료마다 medSeq 이름의 하위 폴더에 저장할지 여부 (기본값: true)",
+          default: true
+        },
+        fileTypes: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: FILE_TYPE_FILTERS
+          },
+          description: "가져올 파일 타입 (image, document, video, audio, all)",
+          default: ["all"]
+        },
+        delayMs: {
+          type: "integer",
+          description: `자료 사이 대기 시간(ms) (기본값: ${DEFAULT_ARCHIVE_SYNC_DELAY_MS})`,
+          default: DEFAULT_ARCHIVE_SYNC_DELAY_MS,
+          minimum: 0,
+          maximum: 60000
+        },
+        maxItems: {
+          type: "integer",
+          description: `이번 호출에서 처리할 최대 자료 수 (기본값: ${DEFAULT_ARCHIVE_SYNC_MAX_ITEMS}, 남은 자료는 다시 호출하면 이어서 처리)`,
+          default: DEFAULT_ARCHIVE_SYNC_MAX_ITEMS,
+          minimum: 1
+        },
+        resume: {
+          type: "boolean",
+          description: "이전 실행에서 완료된 자료를 건너뛸지 여부 (기본값: true)",
+          default: true
+        },
+        force: {
+          type: "boolean",
+          description: "완료 기록과 다운로드 매니페스트를 무시하고 모두 다시 받을지 여부 (기본값: false)",
+          default: false
+        },
+        cacheMode: {
+          type: "string",
+          enum: CACHE_MODES,
+          description: "파일 목록 API 캐시 사용 방식 (default, bypass, only-if-cached)",
+          default: "default"
+        }
+      },
+      additionalProperties: false
+    },
+  },
+
+  {
+    name: "kosha_selenium_crawl",
+    description: "브라우저(기본값: Selenium WebDriver)로 KOSHA 포털 페이지를 열고 전체 다운로드 버튼으로 파일을 다운로드합니다. Chrome과 chromedriver는 KOSHA_CHROME_PATH, KOSHA_CHROMEDRIVER_PATH 환경변수, 설정 파일 browser 항목, PATH, Puppeteer 내장 Chromium 순으로 찾습니다.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pageUrl: {
+          type: "string",
+          description: "크롤링할 KOSHA 포털 페이지 URL (예: https://portal.kosha.or.kr/archive/cent-archive/master-arch/master-list1/master-detail1?medSeq=44507)",
+          pattern: "^https?://"
+        },
+        downloadPath: {
+          type: "string",
+          description: "다운로드할 폴더 경로 (선택사항, 기본값: ./downloads, 허용된 폴더 안만 가능)",
+          default: "./downloads"
+        },
+        useHeadless: {
+          type: "boolean",
+          description: "헤드리스 모드 사용 여부 (기본값: false - 브라우저 화면 표시, 화면이 없는 리눅스 서버에서는 항상 헤드리스)",
+          default: false
+        },
+        engine: {
+          type: "string",
+          enum: BROWSER_ENGINES,
+          description: "사용할 브라우저 엔진 (기본값: selenium)",
+          default: "selenium"
+        },
+        extractArchives: {
+          type: "boolean",
+          description: "전체 다운로드로 받은 ZIP 묶음을 <downloadPath>/<medSeq>/ 폴더에 자동으로 풀지 여부 (기본값: true)",
+          default: true
+        },
+        autoDownload: {
+          type: "boolean",
+          description: "자동 다운로드 여부 (기본값: true)",
+          default: true
+        }
+      },
+      required: ["pageUrl"],
+      additionalProperties: false
+    },
+  },
+];
+
+// 값의 JSON Schema 타입 이름
+function getSchemaTypeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesSchemaType(value, type) {
+  const actual = getSchemaTypeName(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// 도구 inputSchema에서 쓰는 JSON Schema 키워드로 값 검증
+// (type, enum, anyOf, properties, required, additionalProperties, items, minItems, minimum, maximum, minLength, pattern)
+// 오류는 errors에 { field, code, message }로 쌓고, 숫자 문자열을 정수로 바꾼 값을 반환
+function validateSchemaValue(schema, value, field, errors) {
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => {
+      const optionErrors = [];
+      return { option, errors: optionErrors, value: validateSchemaValue(option, value, field, optionErrors) };
+    });
+    const passed = attempts.find(attempt => attempt.errors.length === 0);
+    if (passed) return passed.value;
+
+    // 형식이 맞는 후보가 하나면 그 후보의 세부 오류를, 아니면 형식 오류를 알림
+    const typed = attempts.filter(attempt => [].concat(attempt.option.type || []).some(type => matchesSchemaType(value, type)));
+    if (typed.length === 1) {
+      errors.push(...typed[0].errors);
+    } else {
+      const types = [...new Set(schema.anyOf.flatMap(option => [].concat(option.type || [])))];
+      errors.push({ field, code: 'type', message: `${field} 값의 형식이 올바르지 않습니다 (필요: ${types.join(' 또는 ')}, 입력: ${getSchemaTypeName(value)})` });
+    }
+    return value;
+  }
+
+  const types = [].concat(schema.type || []);
+  // 정수 인자에 숫자 문자열이 오면 정수로 변환 (pageNo, numOfRows를 문자열로 보내던 클라이언트 호환)
+  if (typeof value === 'string' && types.includes('integer') && !types.includes('string') && /^-?\d+$/.test(value.trim())) {
+    value = Number(value.trim());
+  }
+  if (types.length > 0 && !types.some(type => matchesSchemaType(value, type))) {
+    errors.push({ field, code: 'type', message: `${field} 값의 형식이 올바르지 않습니다 (필요: ${types.join(' 또는 ')}, 입력: ${getSchemaTypeName(value)})` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, code: 'enum', message: `지원하지 않는 ${field} 값입니다: ${value} (허용: ${schema.enum.join(', ')})` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+      errors.push({
+        field,
+        code: 'min_length',
+        message: schema.minLength === 1 ? `${field}은(는) 비어 있을 수 없습니다.` : `${field}은(는) ${schema.minLength}글자 이상이어야 합니다.`
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ field, code: 'pattern', message: `${field} 값의 형식이 올바르지 않습니다: ${value} (형식: ${schema.pattern})` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, code: 'minimum', message: `${field}은(는) ${schema.minimum} 이상이어야 합니다: ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, code: 'maximum', message: `${field}은(는) ${schema.maximum} 이하여야 합니다: ${value}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, code: 'min_items', message: `${field}에는 값이 ${schema.minItems}개 이상 있어야 합니다.` });
+    }
+    if (schema.items) {
+      value = value.map((item, index) => validateSchemaValue(schema.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (getSchemaTypeName(value) === 'object' && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    const fieldName = (key) => (field ? `${field}.${key}` : key);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: fieldName(key), code: 'required', message: `${fieldName(key)}은(는) 필수 매개변수입니다.` });
+      }
+    }
+
+    const validated = {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validated[key] = validateSchemaValue(properties[key], propertyValue, fieldName(key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: fieldName(key), code: 'unknown_property', message: `알 수 없는 매개변수입니다: ${fieldName(key)}` });
+      } else {
+        validated[key] = propertyValue;
+      }
+    }
+    value = validated;
+  }
+
+  return value;
+}
+
+// 심볼릭 링크를 따라간 실제 경로 (아직 없는 경로는 존재하는 가장 가까운 상위 폴더 기준)
+function resolveRealPath(target) {
+  const resolved = path.resolve(target);
+  const missing = [];
+  let current = resolved;
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current);
+    if (parent === current) return resolved;
+    missing.unshift(path.basename(current));
+    current = parent;
+  }
+  return path.join(fs.realpathSync(current), ...missing);
+}
+
+function isPathInside(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+// 동시 실행 수를 제한하여 작업 실행 (결과는 입력 순서 유지)
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+// 요청 취소 오류 (도구 결과의 error_type은 CancelledError)
+function createCancelledError(message = '요청이 취소되었습니다.') {
+  return Object.assign(new Error(message), { name: 'CancelledError', cancelled: true });
+}
+
+// 스키마로 표현할 수 없는 인자 조건(둘 중 하나 필수, URL 도메인 등)을 어겼을 때의 오류
+// field: 문제가 된 인자 이름 (오류 결과의 errors에 인자별 오류로 표시)
+function createInvalidArgumentsError(message, field = null) {
+  return Object.assign(new Error(message), { name: 'ValidationError', code: TOOL_ERROR_CODES.INVALID_ARGUMENTS, field });
+}
+
+// 도구 실행 중 발생한 인자 오류를 검증 실패 결과와 같은 { field, code, message } 목록으로 변환
+function getToolErrorDetails(error) {
+  return error && error.field ? [{ field: error.field, code: 'invalid', message: error.message }] : undefined;
+}
+
+// KOSHA 도메인(kosha.or.kr 및 하위 도메인)인지 확인 (kosha.or.kr.example.com 같은 유사 도메인 제외)
+function isKoshaHostname(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  return host === 'kosha.or.kr' || host.endsWith('.kosha.or.kr');
+}
+
+// 도구 오류 결과의 error_code (오류에 정해진 코드가 없으면 TOOL_FAILED)
+function getToolErrorCode(error) {
+  if (error && error.cancelled) return TOOL_ERROR_CODES.CANCELLED;
+  return error && Object.values(TOOL_ERROR_CODES).includes(error.code) ? error.code : TOOL_ERROR_CODES.TOOL_FAILED;
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw createCancelledError();
+  }
+}
+
+// fetch용 신호 (요청 취소 신호와 응답 대기 시간 제한을 함께 적용)
+function createRequestSignal(signal, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+// 취소되면 바로 끝나는 대기
+function sleepUnlessCancelled(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// 파일의 SHA-256 해시 (스트림으로 읽기)
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// 문자셋 표시가 없는 한글 바이트열 디코딩 (UTF-8 시도 후 CP949로 해석)
+function decodeKoreanBytes(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    // WHATWG euc-kr 디코더는 CP949 확장 문자까지 처리함
+    return new TextDecoder('euc-kr').decode(bytes);
+  }
+}
+
+// ZIP 파일명 디코딩 (UTF-8 플래그가 없으면 UTF-8 시도 후 CP949로 해석)
+function decodeZipFileName(nameBuffer, flags) {
+  if (flags & 0x800) {
+    return nameBuffer.toString('utf8');
+  }
+  return decodeKoreanBytes(nameBuffer);
+}
+
+// %XX 인코딩을 바이트열로 복원 (그 외 문자는 UTF-8 바이트로)
+function percentDecodeBytes(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '%' && /^[0-9A-Fa-f]{2}$/.test(value.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 문자셋 이름에 맞게 바이트열 디코딩
+function decodeCharsetBytes(bytes, charset) {
+  const label = String(charset || '').trim().toLowerCase();
+  if (!label) {
+    return decodeKoreanBytes(bytes);
+  }
+  return new TextDecoder(KOREAN_CHARSET_ALIASES.includes(label) ? 'euc-kr' : label, { fatal: label === 'utf-8' }).decode(bytes);
+}
+
+// Content-Disposition 헤더에서 파일명 추출
+// (RFC 5987 filename*, 퍼센트 인코딩, MIME encoded-word, UTF-8/CP949 원시 바이트 모두 처리)
+function parseContentDispositionFileName(header) {
+  if (!header) {
+    return null;
+  }
+
+  const extended = header.match(/filename\*\s*=\s*"?([^;"]+)"?/i);
+  if (extended) {
+    const parts = extended[1].trim().match(/^([^']*)'[^']*'(.*)$/);
+    if (parts) {
+      try {
+        return decodeCharsetBytes(percentDecodeBytes(parts[2]), parts[1] || 'utf-8');
+      } catch (error) {
+        // 잘못된 filename*은 무시하고 filename으로 진행
+      }
+    }
+  }
+
+  const plain = header.match(/(?:^|;)\s*filename\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]+))/i);
+  if (!plain) {
+    return null;
+  }
+  const value = plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2].trim();
+
+  const encodedWord = value.match(/^=\?([^?]+)\?([BbQq])\?([^?]*)\?=$/);
+  if (encodedWord) {
+    const bytes = encodedWord[2].toUpperCase() === 'B'
+      ? Buffer.from(encodedWord[3], 'base64')
+      : percentDecodeBytes(encodedWord[3].replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, '%$1'));
+    try {
+      return decodeCharsetBytes(bytes, encodedWord[1]);
+    } catch (error) {
+      // 지원하지 않는 문자 집합이면 UTF-8/CP949 판별로 원래 바이트를 해석
+      return decodeKoreanBytes(bytes);
+    }
+  }
+
+  // Java URLEncoder처럼 공백을 +로 바꾼 퍼센트 인코딩 값도 처리
+  if (/%[0-9A-Fa-f]{2}/.test(value)) {
+    const spaced = value.includes(' ') ? value : value.replace(/\+/g, ' ');
+    return decodeKoreanBytes(percentDecodeBytes(spaced));
+  }
+
+  // HTTP 헤더 값은 latin1 문자열로 전달되므로 원래 바이트로 되돌려 해석
+  return decodeKoreanBytes(Buffer.from(value, 'latin1'));
+}
+
+// 파일 시스템에 안전한 파일명으로 정리 (경로 제거, 금지 문자 치환, 길이 제한)
+function sanitizeFileName(name) {
+  if (!name) {
+    return null;
+  }
+  let sanitized = String(name)
+    .normalize('NFC')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[. ]+$/, '');
+
+  if (!sanitized || /^\.+$/.test(sanitized)) {
+    return null;
+  }
+  if (RESERVED_FILE_NAMES.test(sanitized)) {
+    sanitized = `_${sanitized}`;
+  }
+
+  if (Buffer.byteLength(sanitized, 'utf8') > MAX_FILE_NAME_BYTES) {
+    const extension = path.extname(sanitized).slice(0, 20);
+    let base = sanitized.slice(0, sanitized.length - extension.length);
+    while (Buffer.byteLength(base + extension, 'utf8') > MAX_FILE_NAME_BYTES) {
+      base = Array.from(base).slice(0, -1).join('');
+    }
+    sanitized = base.trim() + extension;
+  }
+  return sanitized;
+}
+
+// 실행 가능한 파일인지 확인
+function isExecutableFile(filePath) {
+  try {
+    fs.accessSync(filePath, fs.constants.X_OK);
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// PATH 환경변수에서 실행 파일 찾기 (Windows는 PATHEXT 확장자 포함)
+function findExecutableOnPath(names) {
+  const dirs = String(process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  const extensions = process.platform === 'win32'
+    ? ['', ...String(process.env.PATHEXT || '.EXE').split(';').filter(Boolean)]
+    : [''];
+  for (const name of names) {
+    for (const dir of dirs) {
+      for (const extension of extensions) {
+        const candidate = path.join(dir, name + extension);
+        if (isExecutableFile(candidate)) {
+          return candidate;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// 브라우저가 아직 쓰고 있는 다운로드 파일인지 (Chrome은 .crdownload와 .com.google.Chrome.* 임시 파일을 사용)
+function isBrowserPartialDownload(fileName) {
+  return BROWSER_PARTIAL_DOWNLOAD_PATTERN.test(fileName) || fileName.startsWith('.com.google.Chrome.');
+}
+
+// Puppeteer가 내려받아 둔 Chromium 경로 (없으면 null)
+function findBundledChromium() {
+  try {
+    const executablePath = puppeteer.executablePath();
+    return executablePath && isExecutableFile(executablePath) ? executablePath : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Chrome 실행 파일 찾기: 지정 경로 → PATH → 기본 설치 경로 → Puppeteer 내장 Chromium
+// (Puppeteer 엔진은 버전이 맞는 내장 Chromium을 먼저 사용)
+function discoverChromeBinary({ configured = null, preferBundled = false } = {}) {
+  if (configured && configured.path) {
+    if (!isExecutableFile(configured.path)) {
+      throw new Error(`Chrome 실행 파일을 찾을 수 없습니다 (${configured.source}): ${configured.path}`);
+    }
+    return { path: configured.path, source: configured.source };
+  }
+
+  const bundled = findBundledChromium();
+  if (preferBundled && bundled) {
+    return { path: bundled, source: 'bundled' };
+  }
+  const onPath = findExecutableOnPath(CHROME_BINARY_NAMES);
+  if (onPath) {
+    return { path: onPath, source: 'path' };
+  }
+  const installed = (CHROME_INSTALL_PATHS[process.platform] || []).find(isExecutableFile);
+  if (installed) {
+    return { path: installed, source: 'install' };
+  }
+  if (bundled) {
+    return { path: bundled, source: 'bundled' };
+  }
+  return { path: null, source: 'auto' };
+}
+
+// chromedriver 찾기: 지정 경로 → PATH (없으면 Selenium Manager가 자동으로 준비)
+function discoverChromeDriver({ configured = null } = {}) {
+  if (configured && configured.path) {
+    if (!isExecutableFile(configured.path)) {
+      throw new Error(`chromedriver를 찾을 수 없습니다 (${configured.source}): ${configured.path}`);
+    }
+    return { path: configured.path, source: configured.source };
+  }
+  const onPath = findExecutableOnPath(['chromedriver']);
+  return onPath ? { path: onPath, source: 'path' } : { path: null, source: 'selenium-manager' };
+}
+
+// 중앙 디렉터리만 읽고 항목은 필요할 때 읽는 ZIP 리더 (대용량 파일도 메모리에 올리지 않음)
+class ZipArchive {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fd = fs.openSync(filePath, 'r');
+    this.size = fs.fstatSync(this.fd).size;
+    this.entries = this.readCentralDirectory();
+  }
+
+  static open(filePath) {
+    return new ZipArchive(filePath);
+  }
+
+  read(position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(this.fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  }
+
+  readCentralDirectory() {
+    // 파일 끝에서 End of Central Directory 레코드 검색 (주석 최대 64KB)
+    const tailLength = Math.min(this.size, 22 + 0xFFFF);
+    const tail = this.read(this.size - tailLength, tailLength);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new Error('ZIP 중앙 디렉터리를 찾을 수 없습니다.');
+    }
+
+    let entryCount = tail.readUInt16LE(eocd + 10);
+    let directorySize = tail.readUInt32LE(eocd + 12);
+    let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+    // ZIP64 형식
+    if (directoryOffset === 0xFFFFFFFF || entryCount === 0xFFFF) {
+      const locator = eocd - 20;
+      if (locator < 0 || tail.readUInt32LE(locator) !== 0x07064b50) {
+        throw new Error('ZIP64 레코드를 찾을 수 없습니다.');
+      }
+      const zip64 = this.read(Number(tail.readBigUInt64LE(locator + 8)), 56);
+      entryCount = Number(zip64.readBigUInt64LE(32));
+      directorySize = Number(zip64.readBigUInt64LE(40));
+      directoryOffset = Number(zip64.readBigUInt64LE(48));
+    }
+
+    const directory = this.read(directoryOffset, directorySize);
+    const entries = [];
+    let offset = 0;
+    for (let i = 0; i < entryCount && offset + 46 <= directory.length; i++) {
+      if (directory.readUInt32LE(offset) !== 0x02014b50) {
+        throw new Error('ZIP 중앙 디렉터리 형식이 올바르지 않습니다.');
+      }
+      const flags = directory.readUInt16LE(offset + 8);
+      const method = directory.readUInt16LE(offset + 10);
+      let compressedSize = directory.readUInt32LE(offset + 20);
+      let size = directory.readUInt32LE(offset + 24);
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      let localHeaderOffset = directory.readUInt32LE(offset + 42);
+      const nameBuffer = directory.subarray(offset + 46, offset + 46 + nameLength);
+      const extra = directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+
+      let name = decodeZipFileName(nameBuffer, flags);
+      for (let extraOffset = 0; extraOffset + 4 <= extra.length;) {
+        const headerId = extra.readUInt16LE(extraOffset);
+        const dataSize = extra.readUInt16LE(extraOffset + 2);
+        const data = extra.subarray(extraOffset + 4, extraOffset + 4 + dataSize);
+        if (headerId === 0x0001) {
+          // ZIP64 확장 필드: 0xFFFFFFFF인 값만 순서대로 기록됨
+          let dataOffset = 0;
+          if (size === 0xFFFFFFFF) { size = Number(data.readBigUInt64LE(dataOffset)); dataOffset += 8; }
+          if (compressedSize === 0xFFFFFFFF) { compressedSize = Number(data.readBigUInt64LE(dataOffset)); dataOffset += 8; }
+          if (localHeaderOffset === 0xFFFFFFFF) { localHeaderOffset = Number(data.readBigUInt64LE(dataOffset)); }
+        } else if (headerId === 0x7075 && data.length > 5) {
+          // Info-ZIP 유니코드 경로 확장 필드
+          name = data.subarray(5).toString('utf8');
+        }
+        extraOffset += 4 + dataSize;
+      }
+
+      entries.push({
+        name,
+        flags,
+        method,
+        compressedSize,
+        size,
+        localHeaderOffset,
+        isDirectory: name.endsWith('/'),
+        encrypted: Boolean(flags & 0x1)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  find(name) {
+    return this.entries.find(entry => entry.name === name) || null;
+  }
+
+  // 항목 데이터의 시작 위치 (로컬 헤더 뒤)
+  getDataOffset(entry) {
+    const header = this.read(entry.localHeaderOffset, 30);
+    if (header.readUInt32LE(0) !== 0x04034b50) {
+      throw new Error(`ZIP 로컬 헤더가 올바르지 않습니다: ${entry.name}`);
+    }
+    return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  }
+
+  assertReadable(entry) {
+    if (entry.encrypted) {
+      throw new Error(`암호화된 ZIP 항목은 지원하지 않습니다: ${entry.name}`);
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new Error(`지원하지 않는 압축 방식입니다 (method ${entry.method}): ${entry.name}`);
+    }
+  }
+
+  // 작은 항목을 메모리로 읽기 (문서 XML 등)
+  // 풀린 크기는 선언된 크기와 MAX_ZIP_ENTRY_READ_BYTES를 넘을 수 없음 (크기를 속인 압축 폭탄 방지)
+  readEntry(entry) {
+    this.assertReadable(entry);
+    const data = this.read(this.getDataOffset(entry), entry.compressedSize);
+    if (entry.method !== 8) {
+      return data;
+    }
+    const maxOutputLength = Math.max(Math.min(entry.size, MAX_ZIP_ENTRY_READ_BYTES), 1);
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`ZIP 항목을 풀면 허용 크기(${maxOutputLength} bytes)를 넘습니다: ${entry.name}`);
+      }
+      throw error;
+    }
+  }
+
+  // 항목을 스트림으로 파일에 풀기
+  // maxBytes: 실제로 풀린 바이트 수 상한 (기본값: 선언된 크기, 넘으면 중단하고 오류)
+  async extractEntry(entry, destinationPath, { maxBytes = entry.size } = {}) {
+    this.assertReadable(entry);
+    const start = this.getDataOffset(entry);
+    const source = fs.createReadStream(this.filePath, {
+      start,
+      end: start + entry.compressedSize - 1
+    });
+    const streams = entry.compressedSize === 0
+      ? []
+      : [source, ...(entry.method === 8 ? [zlib.createInflateRaw()] : [])];
+
+    if (streams.length === 0) {
+      source.destroy();
+      fs.writeFileSync(destinationPath, Buffer.alloc(0));
+      return 0;
+    }
+
+    let written = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        written += chunk.length;
+        if (written > maxBytes) {
+          callback(new Error(`ZIP 항목을 풀면 허용 크기(${maxBytes} bytes)를 넘습니다: ${entry.name}`));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(...streams, limiter, fs.createWriteStream(destinationPath));
+    return written;
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+  }
+}
+
+// API 응답을 디스크에 저장하는 캐시 (정규화된 요청을 키로 사용, 엔드포인트별 TTL, 전체 용량 상한)
+class ResponseCache {
+  constructor({ dir, ttlSeconds, maxBytes }) {
+    this.dir = dir;
+    this.ttlSeconds = ttlSeconds;
+    this.maxBytes = maxBytes;
+  }
+
+  // 엔드포인트와 정규화된 요청 파라미터로 캐시 키 생성
+  createKey(endpoint, params) {
+    const normalized = Object.keys(params).sort().reduce((acc, key) => {
+      const value = params[key];
+      if (value !== undefined && value !== null) {
+        acc[key] = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value;
+      }
+      return acc;
+    }, {});
+    return crypto.createHash('sha256').update(JSON.stringify({ endpoint, params: normalized })).digest('hex');
+  }
+
+  getFilePath(endpoint, key) {
+    return path.join(this.dir, endpoint, `${key}.json`);
+  }
+
+  // 유효한 캐시 항목 조회 (만료된 항목은 삭제 후 null 반환)
+  get(endpoint, params) {
+    const filePath = this.getFilePath(endpoint, this.createKey(endpoint, params));
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (entry.expiresAt <= Date.now()) {
+        fs.rmSync(filePath, { force: true });
+        return null;
+      }
+      return {
+        value: entry.value,
+        storedAt: entry.storedAt,
+        ageMs: Date.now() - entry.storedAt
+      };
+    } catch (error) {
+      // 손상된 캐시 파일은 삭제
+      fs.rmSync(filePath, { force: true });
+      return null;
+    }
+  }
+
+  // 캐시 항목 저장 (임시 파일에 쓴 뒤 이름 변경) 후 용량 상한 적용
+  set(endpoint, params, value) {
+    const ttlSeconds = this.ttlSeconds[endpoint];
+    if (!ttlSeconds || ttlSeconds <= 0) {
+      return;
+    }
+
+    const key = this.createKey(endpoint, params);
+    const filePath = this.getFilePath(endpoint, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const now = Date.now();
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      endpoint,
+      params,
+      storedAt: now,
+      expiresAt: now + ttlSeconds * 1000,
+      value
+    }));
+    fs.renameSync(tempPath, filePath);
+
+    this.enforceSizeLimit();
+  }
+
+  // 전체 용량이 상한을 넘으면 오래된 항목부터 삭제
+  enforceSizeLimit() {
+    if (!this.maxBytes || !fs.existsSync(this.dir)) {
+      return;
+    }
+
+    const entries = [];
+    for (const endpoint of fs.readdirSync(this.dir)) {
+      const endpointDir = path.join(this.dir, endpoint);
+      if (!fs.statSync(endpointDir).isDirectory()) continue;
+      for (const fileName of fs.readdirSync(endpointDir)) {
+        if (!fileName.endsWith('.json')) continue;
+        const filePath = path.join(endpointDir, fileName);
+        const stats = fs.statSync(filePath);
+        entries.push({ filePath, size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    }
+
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const entry of entries) {
+      if (totalBytes <= this.maxBytes) break;
+      fs.rmSync(entry.filePath, { force: true });
+      totalBytes -= entry.size;
+    }
+  }
+}
+
+// 첨부파일 다운로드 엔진 (Range 이어받기, 지수 백오프 재시도, 임시 파일 후 이름 변경, 크기 검증)
+class DownloadEngine {
+  constructor({ concurrency, retries, retryDelayMs, idleTimeoutMs }) {
+    this.concurrency = concurrency;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.activeDownloads = new Map();
+    this.reservedPaths = new Set();
+  }
+
+  // 여러 파일을 동시 실행 수 제한 안에서 처리
+  async runAll(jobs, worker) {
+    return mapWithConcurrency(jobs, this.concurrency, worker);
+  }
+
+  // 파일 하나 다운로드 (같은 URL에 대한 동시 다운로드는 순서대로 처리)
+  // 저장 이름은 Content-Disposition → fileName(원본 파일명 등) → URL 해시 순서로 정함
+  // replacePath: 같은 첨부파일의 이전 버전 경로 (이름이 겹쳐도 덮어씀)
+  // onProgress(receivedBytes, totalBytes): 받은 바이트 수 (이어받기 이전 분량 포함)
+  // signal: 요청 취소 신호 (취소되면 응답을 끊고 임시 파일 삭제)
+  async download({ url, fileName, downloadPath, expectedSize = null, replacePath = null, onProgress = null, signal = null }) {
+    throwIfCancelled(signal);
+    const dir = path.resolve(downloadPath);
+    fs.mkdirSync(dir, { recursive: true });
+    // 이어받기용 임시 파일은 최종 이름을 알기 전에 만들어지므로 URL로 이름 결정
+    const urlHash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+    const tempPath = path.join(dir, `.${urlHash}${DOWNLOAD_TEMP_SUFFIX}`);
+
+    const previous = this.activeDownloads.get(tempPath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() =>
+      this.downloadWithRetry({ url, fileName, dir, tempPath, urlHash, expectedSize, replacePath, onProgress, signal })
+    );
+    this.activeDownloads.set(tempPath, current);
+    try {
+      return await current;
+    } finally {
+      if (this.activeDownloads.get(tempPath) === current) {
+        this.activeDownloads.delete(tempPath);
+      }
+    }
+  }
+
+  async downloadWithRetry({ url, fileName, dir, tempPath, urlHash, expectedSize, replacePath, onProgress, signal }) {
+    const startTime = Date.now();
+    const expected = Number.isFinite(Number(expectedSize)) && Number(expectedSize) > 0 ? Number(expectedSize) : null;
+    const attempts = [];
+    let resumed = false;
+    let contentType = 'unknown';
+    let contentDisposition = null;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      const offset = fs.existsSync(tempPath) ? fs.statSync(tempPath).size : 0;
+      try {
+        throwIfCancelled(signal);
+        const outcome = await this.fetchToTemp({
+          url,
+          tempPath,
+          offset,
+          signal,
+          onProgress: onProgress && ((received, total) => onProgress(received, expected || total))
+        });
+        contentType = outcome.contentType || contentType;
+        contentDisposition = outcome.contentDisposition || contentDisposition;
+        resumed = resumed || outcome.resumed;
+        attempts.push({ attempt: attempt + 1, status: outcome.status, offset, bytes_received: outcome.bytesReceived });
+
+        const size = fs.statSync(tempPath).size;
+        const totalSize = expected || outcome.totalSize;
+        // 서버가 보낸 전체 크기와 atcflSz가 다르면 다시 받아도 같으므로 바로 실패 처리
+        if (expected && outcome.totalSize && size === outcome.totalSize && size !== expected) {
+          fs.rmSync(tempPath, { force: true });
+          throw new Error(`파일 크기가 첨부파일 정보(atcflSz)와 다릅니다 (${size}/${expected} bytes)`);
+        }
+        if (totalSize && size < totalSize) {
+          throw Object.assign(new Error(`다운로드가 중간에 끊겼습니다 (${size}/${totalSize} bytes)`), { retryable: true });
+        }
+        if (totalSize && size > totalSize) {
+          fs.rmSync(tempPath, { force: true });
+          throw Object.assign(new Error(`파일 크기가 예상보다 큽니다 (${size}/${totalSize} bytes)`), { retryable: true });
+        }
+
+        const headerFileName = sanitizeFileName(parseContentDispositionFileName(contentDisposition));
+        const resolvedName = headerFileName || sanitizeFileName(fileName) || `kosha_${urlHash}.bin`;
+        const target = await this.claimFilePath(dir, resolvedName, tempPath, replacePath);
+        try {
+          fs.renameSync(tempPath, target.filePath);
+        } finally {
+          this.reservedPaths.delete(target.filePath);
+        }
+
+        return {
+          success: true,
+          file_name: path.basename(target.filePath),
+          file_path: target.filePath,
+          file_name_source: headerFileName ? 'content-disposition' : (sanitizeFileName(fileName) ? 'fallback' : 'generated'),
+          ...(target.suffixed ? { requested_file_name: resolvedName } : {}),
+          ...(target.identical ? { replaced_identical: true } : {}),
+          file_size_bytes: size,
+          file_size_mb: (size / (1024 * 1024)).toFixed(2),
+          expected_size_bytes: totalSize || null,
+          size_verified: Boolean(expected) && size === expected,
+          resumed,
+          attempts: attempts.length,
+          download_duration_ms: Date.now() - startTime,
+          content_type: contentType
+        };
+      } catch (error) {
+        if (attempts.length === attempt) {
+          attempts.push({ attempt: attempt + 1, offset, error: error.message });
+        } else {
+          attempts[attempt].error = error.message;
+        }
+        // 취소된 다운로드는 이어받지 않으므로 임시 파일까지 삭제
+        if (error.cancelled) {
+          fs.rmSync(tempPath, { force: true });
+          throw Object.assign(error, { attempts });
+        }
+        if (!error.retryable || attempt === this.retries) {
+          const partialSize = fs.existsSync(tempPath) ? fs.statSync(tempPath).size : 0;
+          const failure = new Error(`${error.message} (시도 ${attempt + 1}회${partialSize > 0 ? `, 이어받기용 임시 파일 ${partialSize} bytes 보존` : ''})`);
+          failure.attempts = attempts;
+          failure.partialPath = partialSize > 0 ? tempPath : null;
+          throw failure;
+        }
+        try {
+          await sleepUnlessCancelled(error.retryAfterMs || this.getRetryDelay(attempt), signal);
+        } catch (cancelled) {
+          fs.rmSync(tempPath, { force: true });
+          throw Object.assign(cancelled, { attempts });
+        }
+      }
+    }
+  }
+
+  // 저장 경로 확보 (이미 다른 파일이 있으면 " (1)", " (2)" … 접미사, 내용이 같은 파일이면 그대로 덮어씀)
+  async claimFilePath(dir, fileName, tempPath, replacePath) {
+    const { name: base, ext } = path.parse(fileName);
+    for (let suffix = 0; ; suffix++) {
+      const candidate = path.join(dir, suffix === 0 ? fileName : `${base} (${suffix})${ext}`);
+      if (this.reservedPaths.has(candidate)) continue;
+      this.reservedPaths.add(candidate);
+
+      if (!fs.existsSync(candidate) || candidate === replacePath) {
+        return { filePath: candidate, suffixed: suffix > 0 };
+      }
+      if (fs.statSync(candidate).size === fs.statSync(tempPath).size &&
+          await hashFile(candidate) === await hashFile(tempPath)) {
+        return { filePath: candidate, suffixed: suffix > 0, identical: true };
+      }
+      this.reservedPaths.delete(candidate);
+    }
+  }
+
+  // 지수 백오프 대기 시간 (최대값 제한, 약간의 무작위 지연 추가)
+  getRetryDelay(attempt) {
+    const delay = Math.min(this.retryDelayMs * 2 ** attempt, MAX_DOWNLOAD_RETRY_DELAY_MS);
+    return delay + Math.floor(Math.random() * this.retryDelayMs / 2);
+  }
+
+  // 한 번의 요청으로 임시 파일에 쓰기 (offset이 있으면 Range 요청으로 이어받기)
+  async fetchToTemp({ url, tempPath, offset, onProgress = null, signal = null }) {
+    const controller = new AbortController();
+    let idleTimer = setTimeout(() => controller.abort(), this.idleTimeoutMs);
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => controller.abort(), this.idleTimeoutMs);
+    };
+    // 요청이 취소되면 진행 중인 응답 스트림도 끊음
+    const onCancel = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onCancel, { once: true });
+
+    try {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'GET',
+          headers: offset > 0 ? { ...DOWNLOAD_REQUEST_HEADERS, 'Range': `bytes=${offset}-` } : DOWNLOAD_REQUEST_HEADERS,
+          signal: controller.signal
+        });
+      } catch (error) {
+        throwIfCancelled(signal);
+        throw Object.assign(new Error(controller.signal.aborted ? '응답 대기 시간이 초과되었습니다' : error.message), { retryable: true });
+      }
+
+      const contentRange = response.headers.get('content-range') || '';
+      const rangeTotal = contentRange.match(/\/(\d+)\s*$/);
+
+      if (response.status === 416) {
+        // 이미 끝까지 받은 임시 파일이면 완료로 처리, 아니면 처음부터 다시 받기
+        if (rangeTotal && Number(rangeTotal[1]) === offset) {
+          return {
+            status: 416,
+            bytesReceived: 0,
+            resumed: true,
+            totalSize: offset,
+            contentDisposition: response.headers.get('content-disposition')
+          };
+        }
+        fs.rmSync(tempPath, { force: true });
+        throw Object.assign(new Error('이어받기 범위가 맞지 않아 처음부터 다시 받습니다'), { retryable: true });
+      }
+
+      if (!response.ok) {
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        throw Object.assign(new Error(`HTTP ${response.status}: ${response.statusText}`), {
+          retryable: RETRYABLE_HTTP_STATUS.includes(response.status),
+          retryAfterMs: Number.isFinite(retryAfter) ? Math.min(retryAfter * 1000, MAX_DOWNLOAD_RETRY_DELAY_MS) : null
+        });
+      }
+
+      // 서버가 Range를 무시하고 전체를 보내면 처음부터 쓰기
+      const rangeStart = contentRange.match(/bytes\s+(\d+)-/);
+      const append = response.status === 206 && offset > 0 && rangeStart && Number(rangeStart[1]) === offset;
+      if (response.status === 206 && !append) {
+        fs.rmSync(tempPath, { force: true });
+        throw Object.assign(new Error(`예상하지 못한 부분 응답입니다: ${contentRange}`), { retryable: true });
+      }
+
+      const contentLength = parseInt(response.headers.get('content-length'), 10);
+      const totalSize = rangeTotal
+        ? Number(rangeTotal[1])
+        : (Number.isFinite(contentLength) ? contentLength + (append ? offset : 0) : null);
+
+      let bytesReceived = 0;
+      response.body.on('data', chunk => {
+        bytesReceived += chunk.length;
+        resetIdleTimer();
+        if (onProgress) {
+          onProgress((append ? offset : 0) + bytesReceived, totalSize);
+        }
+      });
+
+      try {
+        await pipeline(response.body, fs.createWriteStream(tempPath, { flags: append ? 'a' : 'w' }));
+      } catch (error) {
+        throwIfCancelled(signal);
+        throw Object.assign(new Error(controller.signal.aborted ? '다운로드 중 응답이 멈췄습니다' : error.message), { retryable: true });
+      }
+
+      return {
+        status: response.status,
+        bytesReceived,
+        resumed: append,
+        totalSize,
+        contentType: response.headers.get('content-type'),
+        contentDisposition: response.headers.get('content-disposition')
+      };
+    } finally {
+      clearTimeout(idleTimer);
+      if (signal) signal.removeEventListener('abort', onCancel);
+    }
+  }
+}
+
+// 다운로드 폴더별 매니페스트 (medSeq마다 첨부파일 번호별 다운로드 기록)
+class DownloadManifest {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.filePath = path.join(dir, DOWNLOAD_MANIFEST_FILE_NAME);
+    this.items = {};
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.version === DOWNLOAD_MANIFEST_VERSION && data.items) {
+        this.items = data.items;
+      }
+    } catch (error) {
+      logger.warning(`⚠️ 다운로드 매니페스트를 읽지 못해 새로 만듭니다: ${error.message}`, { file: this.filePath });
+    }
+  }
+
+  // 임시 파일에 쓴 뒤 이름 변경
+  save() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ version: DOWNLOAD_MANIFEST_VERSION, items: this.items }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  getRecords(medSeq) {
+    const entry = this.items[String(medSeq)];
+    return entry ? entry.attachments : {};
+  }
+
+  // 현재 첨부파일 목록과 기록 비교 (새 파일, 변경된 파일, 그대로인 파일, 삭제된 파일)
+  diff(medSeq, attachments) {
+    const records = this.getRecords(medSeq);
+    const result = { added: [], changed: [], unchanged: [], removed: [] };
+    const currentNumbers = new Set();
+
+    for (const attachment of attachments) {
+      const atcflNo = String(attachment.atcflNo);
+      currentNumbers.add(atcflNo);
+      const record = records[atcflNo];
+      if (!record) {
+        result.added.push({ attachment });
+        continue;
+      }
+
+      const localPath = path.resolve(this.dir, record.file_path);
+      let reason = null;
+      if (attachment.atcflSrvrFileNm && record.atcflSrvrFileNm !== attachment.atcflSrvrFileNm) {
+        reason = 'server_file_changed';
+      } else if (attachment.atcflSz !== null && attachment.atcflSz !== undefined && Number(record.size) !== Number(attachment.atcflSz)) {
+        reason = 'size_changed';
+      } else if (!fs.existsSync(localPath)) {
+        reason = 'local_file_missing';
+      } else if (fs.statSync(localPath).size !== Number(record.size)) {
+        reason = 'local_file_modified';
+      }
+
+      if (reason) {
+        result.changed.push({ attachment, record, reason });
+      } else {
+        result.unchanged.push({ attachment, record, file_path: localPath });
+      }
+    }
+
+    for (const [atcflNo, record] of Object.entries(records)) {
+      if (!currentNumbers.has(atcflNo)) {
+        result.removed.push({ record, file_path: path.resolve(this.dir, record.file_path) });
+      }
+    }
+    return result;
+  }
+
+  // 다운로드 완료한 첨부파일 기록
+  record(medSeq, { atcflNo, atcflSrvrFileNm, orgnlAtchFileNm, filePath, size, sha256, sourceUrl }) {
+    const key = String(medSeq);
+    if (!this.items[key]) {
+      this.items[key] = { attachments: {}, synced_at: null };
+    }
+    this.items[key].attachments[String(atcflNo)] = {
+      medSeq: key,
+      atcflNo: String(atcflNo),
+      atcflSrvrFileNm: atcflSrvrFileNm || null,
+      orgnlAtchFileNm: orgnlAtchFileNm || null,
+      file_path: path.relative(this.dir, filePath),
+      size,
+      sha256,
+      source_url: sourceUrl,
+      downloaded_at: new Date().toISOString()
+    };
+  }
+
+  // 원본에서 삭제된 첨부파일 기록 제거 (로컬 파일은 유지)
+  remove(medSeq, atcflNo) {
+    const entry = this.items[String(medSeq)];
+    if (entry) {
+      delete entry.attachments[String(atcflNo)];
+    }
+  }
+
+  markSynced(medSeq) {
+    const key = String(medSeq);
+    if (!this.items[key]) {
+      this.items[key] = { attachments: {}, synced_at: null };
+    }
+    this.items[key].synced_at = new Date().toISOString();
+  }
+}
+
+// 자료 일괄 동기화 진행 상태 (재시작 후 이어서 처리하기 위해 다운로드 폴더에 저장)
+class ArchiveSyncState {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.filePath = path.join(dir, ARCHIVE_SYNC_STATE_FILE_NAME);
+    this.items = {};
+    this.lastRun = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.version === ARCHIVE_SYNC_STATE_VERSION) {
+        this.items = data.items || {};
+        this.lastRun = data.last_run || null;
+      }
+    } catch (error) {
+      logger.warning(`⚠️ 동기화 상태 파일을 읽지 못해 새로 만듭니다: ${error.message}`, { file: this.filePath });
+    }
+  }
+
+  // 임시 파일에 쓴 뒤 이름 변경
+  save() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      version: ARCHIVE_SYNC_STATE_VERSION,
+      last_run: this.lastRun,
+      items: this.items
+    }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  get(medSeq) {
+    return this.items[String(medSeq)] || null;
+  }
+
+  isCompleted(medSeq) {
+    const item = this.get(medSeq);
+    return Boolean(item) && ARCHIVE_SYNC_COMPLETED_STATUSES.includes(item.status);
+  }
+
+  set(medSeq, item) {
+    this.items[String(medSeq)] = { ...item, updated_at: new Date().toISOString() };
+  }
+}
+
+// MCP 진행 알림 (요청 _meta에 progressToken이 있을 때만 notifications/progress 전송)
+// progress 값은 항상 증가해야 하므로 단계(step)는 정수로 올리고, 단계 안의 세부 진행(note)은 다음 정수 전까지 소수로만 올림
+class ProgressReporter {
+  constructor({ progressToken = null, sendNotification = null, intervalMs = PROGRESS_NOTE_INTERVAL_MS } = {}) {
+    this.progressToken = progressToken;
+    this.sendNotification = sendNotification;
+    this.intervalMs = intervalMs;
+    this.progress = 0;
+    this.total = null;
+    this.lastNoteAt = 0;
+  }
+
+  get enabled() {
+    return this.progressToken !== null && this.progressToken !== undefined && typeof this.sendNotification === 'function';
+  }
+
+  // 전체 단계 수를 알게 되면 설정 (남은 단계 수를 더해 계산)
+  setRemaining(remainingSteps) {
+    this.total = Math.floor(this.progress) + remainingSteps;
+  }
+
+  async step(message) {
+    this.progress = Math.floor(this.progress) + 1;
+    if (this.total !== null && this.progress > this.total) {
+      this.total = this.progress;
+    }
+    await this.send(message);
+  }
+
+  // 단계 안의 세부 진행 (fraction: 0~1, 없으면 남은 구간의 절반만큼 증가), intervalMs 간격으로만 전송
+  async note(message, fraction = null) {
+    const now = Date.now();
+    if (!this.enabled || now - this.lastNoteAt < this.intervalMs) {
+      return;
+    }
+    const base = Math.floor(this.progress);
+    const value = fraction === null
+      ? this.progress + (base + 1 - this.progress) / 2
+      : base + Math.min(Math.max(fraction, 0), 0.99);
+    if (value <= this.progress) {
+      return;
+    }
+    this.progress = value;
+    this.lastNoteAt = now;
+    await this.send(message);
+  }
+
+  // 큰 단계 안에서 쓰는 하위 알림 (하위 작업의 단계는 세부 진행으로 보냄)
+  child() {
+    return {
+      setRemaining: () => {},
+      step: (message) => this.note(message),
+      note: (message) => this.note(message)
+    };
+  }
+
+  async send(message) {
+    if (!this.enabled) {
+      return;
+    }
+    try {
+      await this.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken: this.progressToken,
+          progress: this.progress,
+          ...(this.total !== null ? { total: this.total } : {}),
+          message
+        }
+      });
+    } catch (error) {
+      // 클라이언트 연결이 끊겨도 작업은 계속 진행
+    }
+  }
+}
+
+// 서버 로거 (stderr와 로그 파일에 쓰고, 연결된 MCP 클라이언트에는 notifications/message로 전달)
+// stdio 전송에서는 stdout이 JSON-RPC 통로이므로 stdout에는 쓰지 않음
+// 로그 파일은 한 줄에 JSON 하나, maxFileBytes를 넘으면 .1로 옮기고 새로 씀
+class Logger {
+  constructor({ level = DEFAULT_LOG_LEVEL, filePath = null, maxFileBytes = MAX_LOG_FILE_BYTES, redact = null } = {}) {
+    this.context = new AsyncLocalStorage();
+    // MCP 서버 → 클라이언트가 logging/setLevel로 정한 수준 (정하기 전에는 로거 수준을 따름)
+    this.clients = new Map();
+    this.configure({ level, filePath, maxFileBytes, redact });
+  }
+
+  configure({ level = this.level, filePath = this.filePath, maxFileBytes = this.maxFileBytes, redact = this.redact } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`지원하지 않는 로그 수준입니다: ${level} (가능한 값: ${LOG_LEVELS.join(', ')})`);
+    }
+    this.level = level;
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.maxFileBytes = maxFileBytes;
+    this.redact = redact;
+    this.fileSize = null;
+  }
+
+  // MCP 서버에 연결 (logging/setLevel 요청을 이 로거가 처리)
+  attach(server) {
+    this.clients.set(server, null);
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      this.clients.set(server, request.params.level);
+      this.run({}, () => this.info(`클라이언트 로그 수준 변경: ${request.params.level}`), server);
+      return {};
+    });
+  }
+
+  detach(server) {
+    this.clients.delete(server);
+  }
+
+  // 요청 단위 필드(tool 등)를 붙여 실행 (안에서 남기는 로그에 모두 포함됨)
+  // server를 지정하면 그 안의 로그는 해당 MCP 서버(요청한 클라이언트)에만 전달
+  run(fields, fn, server = undefined) {
+    const store = this.context.getStore() || { fields: {}, server: null };
+    return this.context.run({
+      fields: { ...store.fields, ...fields },
+      server: server === undefined ? store.server : server
+    }, fn);
+  }
+
+  isEnabled(level, minimum) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimum);
+  }
+
+  log(level, message, fields = {}) {
+    const store = this.context.getStore() || { fields: {}, server: null };
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message: this.redact ? this.redact(String(message)) : String(message),
+      ...store.fields,
+      ...fields
+    };
+    if (entry.error instanceof Error) {
+      entry.error = entry.error.message;
+    }
+
+    if (this.isEnabled(level, this.level)) {
+      this.writeStderr(entry);
+      this.writeFile(entry);
+    }
+    this.forward(entry, store.server);
+  }
+
+  debug(message, fields) { this.log('debug', message, fields); }
+  info(message, fields) { this.log('info', message, fields); }
+  notice(message, fields) { this.log('notice', message, fields); }
+  warning(message, fields) { this.log('warning', message, fields); }
+  error(message, fields) { this.log('error', message, fields); }
+  critical(message, fields) { this.log('critical', message, fields); }
+
+  // 사람이 읽는 한 줄 형식: 시각 [수준] 메시지 (필드=값, ...)
+  writeStderr({ time, level, message, ...fields }) {
+    const details = Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const line = `${time} [${level}] ${message}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    process.stderr.write(`${this.redact ? this.redact(line) : line}\n`);
+  }
+
+  writeFile(entry) {
+    if (!this.filePath) {
+      return;
+    }
+    try {
+      const json = JSON.stringify(entry);
+      const line = `${this.redact ? this.redact(json) : json}\n`;
+      if (this.fileSize === null) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fileSize = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+      }
+      if (this.fileSize > 0 && this.fileSize + Buffer.byteLength(line) > this.maxFileBytes) {
+        fs.renameSync(this.filePath, `${this.filePath}.1`);
+        this.fileSize = 0;
+      }
+      fs.appendFileSync(this.filePath, line);
+      this.fileSize += Buffer.byteLength(line);
+    } catch (error) {
+      // 로그 파일을 쓸 수 없으면 stderr에만 남김
+      const filePath = this.filePath;
+      this.filePath = null;
+      this.writeStderr({ time: new Date().toISOString(), level: 'warning', message: `로그 파일 기록을 중단합니다: ${error.message}`, file: filePath });
+    }
+  }
+
+  // 초기화가 끝난 클라이언트에만 전달 (target이 있으면 그 서버에만, 전송 실패는 무시)
+  forward({ time, level, message, ...fields }, target = null) {
+    let data = null;
+    for (const [server, clientLevel] of this.clients) {
+      if ((target && server !== target) || !server.getClientCapabilities() || !this.isEnabled(level, clientLevel || this.level)) {
+        continue;
+      }
+      if (!data) {
+        const json = JSON.stringify({ message, ...fields });
+        data = JSON.parse(this.redact ? this.redact(json) : json);
+      }
+      server.sendLoggingMessage({ level, logger: MCP_LOGGER_NAME, data }).catch(() => {});
+    }
+  }
+}
+
+// 모듈 전체에서 쓰는 로거 (서버 생성 시 설정 파일과 환경변수로 수준과 파일 경로 결정)
+const logger = new Logger();
+
+// Puppeteer 브라우저 드라이버
+class PuppeteerDriver {
+  constructor(browser, page, info) {
+    this.engine = 'puppeteer';
+    this.browser = browser;
+    this.page = page;
+    this.info = info;
+    this.signal = null;
+    this.closing = null;
+  }
+
+  static async launch({ headless = true, executablePath = null, downloadPath = null, slowMo = 0, info = {} } = {}) {
+    const browser = await puppeteer.launch({
+      headless,
+      slowMo,
+      executablePath: executablePath || undefined,
+      defaultViewport: { width: 1920, height: 1080 },
+      args: BROWSER_LAUNCH_ARGS
+    });
+    try {
+      const page = await browser.newPage();
+      await page.evaluateOnNewDocument(BROWSER_STEALTH_SCRIPT);
+      await page.setUserAgent(BROWSER_USER_AGENT);
+      await page.setExtraHTTPHeaders(BROWSER_EXTRA_HEADERS);
+      const driver = new PuppeteerDriver(browser, page, info);
+      if (downloadPath) {
+        await driver.setDownloadPath(downloadPath);
+      }
+      return driver;
+    } catch (error) {
+      await browser.close();
+      throw error;
+    }
+  }
+
+  async setDownloadPath(downloadPath) {
+    const session = await this.page.createCDPSession();
+    await session.send('Browser.setDownloadBehavior', {
+      behavior: 'allow',
+      downloadPath: path.resolve(downloadPath)
+    });
+  }
+
+  async goto(url, { timeout = 30000, waitUntil = 'networkidle0' } = {}) {
+    await this.page.goto(url, { waitUntil, timeout });
+  }
+
+  // 셀렉터가 나타날 때까지 대기 (시간 초과 시 false)
+  async waitForSelector(selector, timeout = 10000) {
+    try {
+      await this.page.waitForSelector(selector, { timeout });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async waitForTitle(text, timeout = 30000) {
+    await this.page.waitForFunction(title => document.title.includes(title), { timeout }, text);
+  }
+
+  async content() {
+    return this.page.content();
+  }
+
+  async evaluate(fn, ...args) {
+    return this.page.evaluate(fn, ...args);
+  }
+
+  async findElements(selector) {
+    return this.page.$$(selector);
+  }
+
+  async getText(element) {
+    return element.evaluate(node => (node.innerText || node.textContent || node.value || '').trim());
+  }
+
+  async getAttribute(element, name) {
+    return element.evaluate((node, attribute) => node.getAttribute(attribute), name);
+  }
+
+  async scrollIntoView(element) {
+    await element.evaluate(node => node.scrollIntoView({ block: 'center' }));
+  }
+
+  // 일반 클릭이 막히면 DOM click()으로 재시도
+  async click(element) {
+    try {
+      await element.click();
+    } catch (error) {
+      await element.evaluate(node => node.click());
+    }
+  }
+
+  // 요청이 취소되면 대기도 바로 끝남
+  async sleep(ms) {
+    await sleepUnlessCancelled(ms, this.signal);
+  }
+
+  // 취소 처리와 크롤링 종료 양쪽에서 불릴 수 있으므로 한 번만 닫음
+  async close() {
+    this.closing = this.closing || this.browser.close();
+    await this.closing;
+  }
+}
+
+// Selenium WebDriver 브라우저 드라이버
+class SeleniumDriver {
+  constructor(driver, info) {
+    this.engine = 'selenium';
+    this.driver = driver;
+    this.info = info;
+    this.signal = null;
+    this.closing = null;
+  }
+
+  static async launch({ headless = true, executablePath = null, driverPath = null, downloadPath = null, info = {} } = {}) {
+    const chromeOptions = new chrome.Options();
+    if (executablePath) {
+      chromeOptions.setChromeBinaryPath(executablePath);
+    }
+    if (headless) {
+      chromeOptions.addArguments('--headless=new');
+    }
+    chromeOptions.addArguments(...BROWSER_LAUNCH_ARGS, `--user-agent=${BROWSER_USER_AGENT}`);
+    chromeOptions.excludeSwitches('enable-automation');
+    if (downloadPath) {
+      chromeOptions.setUserPreferences({
+        'download.default_directory': path.resolve(downloadPath),
+        'download.prompt_for_download': false,
+        'download.directory_upgrade': true,
+        'safebrowsing.enabled': true
+      });
+    }
+
+    const builder = new Builder().forBrowser('chrome').setChromeOptions(chromeOptions);
+    if (driverPath) {
+      builder.setChromeService(new chrome.ServiceBuilder(driverPath));
+    }
+    const driver = await builder.build();
+    try {
+      // 새 문서마다 실행되도록 DevTools로 등록 (driver.executeScript는 현재 페이지에만 적용됨)
+      await driver.sendDevToolsCommand('Page.addScriptToEvaluateOnNewDocument', { source: BROWSER_STEALTH_SCRIPT });
+      await driver.sendDevToolsCommand('Network.enable', {});
+      await driver.sendDevToolsCommand('Network.setExtraHTTPHeaders', { headers: BROWSER_EXTRA_HEADERS });
+    } catch (error) {
+      logger.warning(`⚠️ Selenium DevTools 설정 실패 (계속 진행): ${error.message}`);
+    }
+    return new SeleniumDriver(driver, info);
+  }
+
+  async setDownloadPath(downloadPath) {
+    await this.driver.sendDevToolsCommand('Browser.setDownloadBehavior', {
+      behavior: 'allow',
+      downloadPath: path.resolve(downloadPath)
+    });
+  }
+
+  // Selenium은 load 이벤트까지 기다리므로 waitUntil은 무시
+  async goto(url, { timeout = 30000 } = {}) {
+    await this.driver.manage().setTimeouts({ pageLoad: timeout });
+    await this.driver.get(url);
+  }
+
+  async waitForSelector(selector, timeout = 10000) {
+    try {
+      await this.driver.wait(until.elementLocated(By.css(selector)), timeout);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async waitForTitle(text, timeout = 30000) {
+    await this.driver.wait(until.titleContains(text), timeout);
+  }
+
+  async content() {
+    return this.driver.getPageSource();
+  }
+
+  // Puppeteer의 page.evaluate와 같게 함수와 인자를 받음 (Promise 결과도 기다림)
+  async evaluate(fn, ...args) {
+    return this.driver.executeScript(`return (${fn.toString()}).apply(null, arguments);`, ...args);
+  }
+
+  async findElements(selector) {
+    return this.driver.findElements(By.css(selector));
+  }
+
+  async getText(element) {
+    const text = await element.getText();
+    return (text || (await element.getAttribute('value')) || '').trim();
+  }
+
+  async getAttribute(element, name) {
+    return element.getAttribute(name);
+  }
+
+  async scrollIntoView(element) {
+    await this.driver.executeScript("arguments[0].scrollIntoView({ block: 'center' });", element);
+  }
+
+  async click(element) {
+    try {
+      await element.click();
+    } catch (error) {
+      await this.driver.executeScript('arguments[0].click();', element);
+    }
+  }
+
+  async sleep(ms) {
+    await sleepUnlessCancelled(ms, this.signal);
+  }
+
+  async close() {
+    this.closing = this.closing || this.driver.quit();
+    await this.closing;
+  }
+}
+
+export class KoshaApiMCPServer {
+  constructor() {
+    this.apiBaseUrl = "https://apis.data.go.kr/B552468/srch/smartSearch";
+    this.config = this.loadConfig();
+    this.serviceKeys = this.loadServiceKeys();
+    this.allowedPathRoots = this.loadAllowedPathRoots();
+    this.configureLogger();
+    this.serviceKeyIndex = 0;
+    this.cache = this.createResponseCache();
+    this.downloader = this.createDownloadEngine();
+    this.manifests = new Map();
+    this.localIndex = new LocalIndex({
+      dir: path.resolve(process.env.KOSHA_INDEX_DIR || (this.config.index && this.config.index.dir) || '.kosha-index')
+    });
+    // 연결된 MCP 서버 (stdio는 하나, HTTP는 세션마다 하나씩 만들고 캐시·다운로드 저장소·색인은 함께 사용)
+    this.servers = new Set();
+    this.server = this.createMcpServer();
+  }
+
+  // MCP 서버 생성 (도구·리소스·프롬프트 처리기 등록, 로그 전달 연결)
+  createMcpServer() {
+    const server = new Server(
+      {
+        name: "kosha-api-server",
+        version: "1.0.0",
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {
+            listChanged: true
+          },
+          prompts: {},
+          logging: {},
+        },
+      }
+    );
+
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    logger.attach(server);
+    this.servers.add(server);
+    return server;
+  }
+
+  // 연결이 끝난 MCP 서버 정리
+  releaseMcpServer(server) {
+    logger.detach(server);
+    this.servers.delete(server);
+  }
+
+  setupToolHandlers(server) {
+    // 도구 목록 제공
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return { tools: KOSHA_TOOLS };
+    });
+
+    // 도구 실행 핸들러
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+      // 클라이언트가 progressToken을 보낸 경우 오래 걸리는 도구가 단계별 진행 알림을 보냄
+      const progress = new ProgressReporter({
+        progressToken: request.params._meta && request.params._meta.progressToken,
+        sendNotification: extra && extra.sendNotification
+      });
+      // 클라이언트가 notifications/cancelled를 보내면 이 신호가 취소됨
+      const signal = (extra && extra.signal) || null;
+
+      // 도구 실행 중 남기는 로그에는 모두 tool 필드가 붙고, 요청한 클라이언트에만 전달됨
+      return logger.run({ tool: name }, async () => {
+        const startTime = Date.now();
+        logger.debug('도구 실행 시작', { arguments: args || {} });
+
+        const tool = KOSHA_TOOLS.find(candidate => candidate.name === name);
+        if (!tool) {
+          logger.warning('알 수 없는 도구 호출');
+          throw new McpError(ErrorCode.InvalidParams, `알 수 없는 도구입니다: ${name}`, {
+            error_code: TOOL_ERROR_CODES.UNKNOWN_TOOL,
+            tool: name
+          });
+        }
+
+        // 선언된 inputSchema로 인자를 검증하고, 잘못된 인자는 실행하지 않고 인자별 오류로 응답
+        const validation = this.validateToolArguments(tool, args || {});
+        if (validation.errors.length > 0) {
+          logger.warning('도구 인자 검증 실패', { errors: validation.errors });
+          return this.redactToolResult(this.buildInvalidArgumentsResult(name, validation.errors));
+        }
+
+        try {
+          const result = await this.callTool(name, validation.args, { progress, signal });
+          if (signal && signal.aborted) {
+            logger.notice('도구 실행 취소', { duration_ms: Date.now() - startTime });
+            // 취소된 요청은 도구별 오류 결과 대신 정해진 취소 결과로 응답
+            return this.redactToolResult(this.buildCancelledResult(name));
+          }
+          logger.info('도구 실행 완료', { duration_ms: Date.now() - startTime });
+          // 모든 도구 출력에서 서비스키를 가린 뒤 반환
+          return this.redactToolResult(result);
+        } catch (error) {
+          logger.error(`도구 실행 실패: ${error.message}`, { duration_ms: Date.now() - startTime });
+          throw error;
+        }
+      }, server);
+    });
+  }
+
+  // 다운로드 파일과 캐시된 검색 항목을 kosha:// 리소스로 제공
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const resources = this.listKoshaResources();
+      const offset = parseInt(request.params && request.params.cursor, 10) || 0;
+      const page = resources.slice(offset, offset + RESOURCE_LIST_PAGE_SIZE);
+      const nextOffset = offset + page.length;
+
+      return {
+        resources: page,
+        ...(nextOffset < resources.length ? { nextCursor: String(nextOffset) } : {})
+      };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: `${RESOURCE_URI_SCHEME}medSeq/{medSeq}/files`,
+            name: "자료별 첨부파일 목록",
+            description: "medSeq 자료의 첨부파일 목록(파일 목록 API)과 로컬에 다운로드된 파일의 리소스 URI",
+            mimeType: "application/json"
+          },
+          {
+            uriTemplate: `${RESOURCE_URI_SCHEME}medSeq/{medSeq}/files/{fileName}`,
+            name: "다운로드한 첨부파일",
+            description: "medSeq 자료에서 다운로드한 첨부파일 내용"
+          },
+          {
+            uriTemplate: `${RESOURCE_URI_SCHEME}search/{category}/{documentId}`,
+            name: "캐시된 검색 결과 항목",
+            description: "kosha_search로 조회되어 로컬 색인에 저장된 검색 항목 (본문 포함)",
+            mimeType: "application/json"
+          }
+        ]
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return {
+        contents: [await this.readKoshaResource(request.params.uri)]
+      };
+    });
+  }
+
+  // 안전보건 업무 프롬프트 제공
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: KOSHA_PROMPTS.map(({ name, title, description, arguments: promptArguments }) => ({
+          name,
+          title,
+          description,
+          arguments: promptArguments
+        }))
+      };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: promptArgs = {} } = request.params;
+      const prompt = KOSHA_PROMPTS.find(candidate => candidate.name === name);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `알 수 없는 프롬프트입니다: ${name}`);
+      }
+
+      const missing = prompt.arguments
+        .filter(argument => argument.required && !String(promptArgs[argument.name] || '').trim())
+        .map(argument => argument.name);
+      if (missing.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `필수 인자가 없습니다: ${missing.join(', ')}`);
+      }
+
+      return {
+        description: prompt.description,
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: this.buildPromptText(prompt, promptArgs)
+            }
+          }
+        ]
+      };
+    });
+  }
+
+  // 프롬프트 본문 생성 (참고할 카테고리와 kosha_search 호출 인자를 미리 지정)
+  buildPromptText(prompt, promptArgs) {
+    const categoryList = prompt.categories
+      .map(code => `${code}(${KOSHA_SEARCH_CATEGORIES[code]})`)
+      .join(', ');
+    const searchCall = (searchValue) => JSON.stringify({
+      searchValue,
+      category: prompt.categories,
+      maxResults: 30
+    });
+    const optional = (label, value) => value ? `\n- ${label}: ${value}` : '';
+
+    switch (prompt.name) {
+      case 'risk_assessment':
+        return [
+          `다음 작업에 대한 위험성평가를 수행해 주세요.`,
+          `- 작업: ${promptArgs.task}${optional('사업장/업종', promptArgs.workplace)}${optional('사용 설비', promptArgs.equipment)}`,
+          ``,
+          `진행 방법:`,
+          `1. kosha_search 도구를 ${searchCall(promptArgs.task)} 인자로 호출하여 ${categoryList} 자료를 조회하세요.`,
+          promptArgs.equipment
+            ? `2. 사용 설비에 대해서도 kosha_search를 ${searchCall(promptArgs.equipment)} 인자로 호출하세요.`
+            : `2. 작업에 쓰이는 주요 설비가 있으면 그 이름으로 같은 카테고리를 추가 검색하세요.`,
+          `3. 첨부파일 확인이 필요한 자료는 문서 ID(medSeq)로 kosha_file_list를 호출하세요.`,
+          ``,
+          `결과 형식:`,
+          `- 작업 단계별 유해·위험요인 목록`,
+          `- 각 위험요인의 가능성·중대성(3단계)과 위험성 수준`,
+          `- 감소대책과 근거 조문·지침 (검색 결과의 제목과 문서 ID 명시)`,
+          `- 검색 결과로 확인되지 않은 내용은 "확인 필요"로 표시`
+        ].join('\n');
+
+      case 'safety_rule_articles':
+        return [
+          `다음 설비에 적용되는 산업안전보건기준에 관한 규칙 조문을 찾아 요약해 주세요.`,
+          `- 설비: ${promptArgs.equipment}${optional('중점 위험요인', promptArgs.hazard)}`,
+          ``,
+          `진행 방법:`,
+          `1. kosha_search 도구를 ${searchCall(promptArgs.equipment)} 인자로 호출하여 ${categoryList} 자료를 조회하세요.`,
+          promptArgs.hazard
+            ? `2. "${promptArgs.equipment} ${promptArgs.hazard}"로도 같은 카테고리를 검색하세요.`
+            : `2. 결과가 부족하면 설비의 다른 명칭(예: 법령상 용어)으로 다시 검색하세요.`,
+          ``,
+          `결과 형식:`,
+          `- 조문 번호와 제목 (예: 제42조(추락의 방지))`,
+          `- 사업주 의무 요약 (2~3줄)`,
+          `- 관련 KOSHA GUIDE가 있으면 지침 번호와 제목`,
+          `- 조문 원문을 인용할 때는 검색 결과에 있는 내용만 사용`
+        ].join('\n');
+
+      case 'serious_accident_checklist':
+        return [
+          `다음 사업장에 대한 중대재해처벌법 안전보건 확보의무 점검표를 작성해 주세요.`,
+          `- 사업장: ${promptArgs.site}${optional('업종', promptArgs.industry)}${optional('상시 근로자 수', promptArgs.workers)}`,
+          ``,
+          `진행 방법:`,
+          `1. kosha_search 도구를 ${searchCall('안전보건관리체계 구축')} 인자로 호출하여 ${categoryList} 자료를 조회하세요.`,
+          `2. "안전보건 확보의무", "경영책임자"로도 같은 카테고리를 검색하세요.`,
+          promptArgs.industry
+            ? `3. 업종 특화 위험은 kosha_search를 ${JSON.stringify({ searchValue: promptArgs.industry, category: ['7'], maxResults: 20 })} 인자로 호출하여 KOSHA GUIDE에서 확인하세요.`
+            : `3. 업종 특화 위험은 KOSHA GUIDE(카테고리 7)에서 추가로 확인하세요.`,
+          ``,
+          `결과 형식:`,
+          `- 적용 대상 여부 (상시 근로자 수와 시행 시기 기준)`,
+          `- 시행령 제4조 각 호의 의무별 점검 항목 (예/아니오/해당없음 체크란)`,
+          `- 항목별 근거 조문과 필요한 증빙 서류`,
+          `- 검색 결과로 확인되지 않은 내용은 "확인 필요"로 표시`
+        ].join('\n');
+
+      default:
+        throw new McpError(ErrorCode.InvalidParams, `알 수 없는 프롬프트입니다: ${prompt.name}`);
+    }
+  }
+
+  // 리소스 목록 변경 알림 (연결된 모든 클라이언트에 전송, 연결되지 않은 서버는 무시)
+  notifyResourceListChanged() {
+    for (const server of this.servers) {
+      server.sendResourceListChanged().catch(() => {});
+    }
+  }
+
+  // 다운로드한 파일 리소스 URI (medSeq가 있으면 자료별 경로, 없으면 경로 해시)
+  getFileResourceUri(document) {
+    if (document.medSeq) {
+      return `${RESOURCE_URI_SCHEME}medSeq/${encodeURIComponent(document.medSeq)}/files/${encodeURIComponent(document.file_name)}`;
+    }
+    const key = crypto.createHash('sha256').update(document.file_path).digest('hex').slice(0, 16);
+    return `${RESOURCE_URI_SCHEME}file/${key}`;
+  }
+
+  // 검색 항목 리소스 URI (문서 ID가 없으면 항목 키 해시 사용)
+  getSearchResourceUri(document) {
+    const documentId = document.document_id || `_${crypto.createHash('sha256').update(document.id).digest('hex').slice(0, 16)}`;
+    return `${RESOURCE_URI_SCHEME}search/${encodeURIComponent(document.category_code || '_')}/${encodeURIComponent(documentId)}`;
+  }
+
+  getMimeType(fileName) {
+    const extension = path.extname(fileName).slice(1).toLowerCase();
+    return MIME_TYPES[extension] || 'application/octet-stream';
+  }
+
+  // 로컬에 존재하는 다운로드 파일과 검색 항목을 리소스 목록으로 구성
+  listKoshaResources() {
+    const documents = [...this.localIndex.documents.values()];
+    const files = documents
+      .filter(document => document.source === 'file' && fs.existsSync(document.file_path))
+      .map(document => ({
+        uri: this.getFileResourceUri(document),
+        name: document.file_name,
+        title: document.title,
+        description: `다운로드한 첨부파일${document.medSeq ? ` (medSeq: ${document.medSeq})` : ''}`,
+        mimeType: this.getMimeType(document.file_name),
+        size: fs.statSync(document.file_path).size
+      }));
+    const searchItems = documents
+      .filter(document => document.source === 'search')
+      .map(document => ({
+        uri: this.getSearchResourceUri(document),
+        name: document.title || document.id,
+        description: `검색 결과 항목 (${document.category_name || document.category_code || '카테고리 미상'})`,
+        mimeType: 'application/json'
+      }));
+
+    return [...files, ...searchItems];
+  }
+
+  // kosha:// URI에 해당하는 리소스 내용 읽기
+  async readKoshaResource(uri) {
+    const notFound = () => new McpError(RESOURCE_NOT_FOUND_ERROR_CODE, `리소스를 찾을 수 없습니다: ${uri}`, { uri });
+    if (!uri || !uri.startsWith(RESOURCE_URI_SCHEME)) {
+      throw notFound();
+    }
+
+    const segments = uri.slice(RESOURCE_URI_SCHEME.length).split('/').map(segment => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    });
+    const documents = [...this.localIndex.documents.values()];
+
+    // kosha://medSeq/{medSeq}/files
+    if (segments[0] === 'medSeq' && segments[2] === 'files' && segments.length === 3) {
+      return {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(await this.buildMedSeqFilesResource(segments[1], documents), null, 2)
+      };
+    }
+
+    // kosha://medSeq/{medSeq}/files/{fileName} 또는 kosha://file/{key}
+    if ((segments[0] === 'medSeq' && segments[2] === 'files' && segments.length === 4) ||
+        (segments[0] === 'file' && segments.length === 2)) {
+      const document = documents
+        .filter(candidate => candidate.source === 'file' && this.getFileResourceUri(candidate) === uri)
+        .sort((a, b) => String(b.indexed_at).localeCompare(String(a.indexed_at)))[0];
+      if (!document || !fs.existsSync(document.file_path)) {
+        throw notFound();
+      }
+      return this.readFileResourceContents(uri, document.file_path);
+    }
+
+    // kosha://search/{category}/{documentId}
+    if (segments[0] === 'search' && segments.length === 3) {
+      const document = documents.find(candidate => candidate.source === 'search' && this.getSearchResourceUri(candidate) === uri);
+      if (!document) {
+        throw notFound();
+      }
+      return {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(document, null, 2)
+      };
+    }
+
+    throw notFound();
+  }
+
+  // 파일 내용을 리소스로 변환 (텍스트 계열은 text, 나머지는 base64 blob)
+  readFileResourceContents(uri, filePath) {
+    const maxBytes = parseInt(process.env.KOSHA_RESOURCE_MAX_BYTES, 10) || DEFAULT_RESOURCE_MAX_BYTES;
+    const stats = fs.statSync(filePath);
+    if (stats.size > maxBytes) {
+      throw new McpError(ErrorCode.InvalidRequest, `파일이 너무 커서 리소스로 읽을 수 없습니다 (${stats.size} bytes > ${maxBytes} bytes): ${uri}`, { uri, size: stats.size, max_bytes: maxBytes });
+    }
+
+    const mimeType = this.getMimeType(filePath);
+    const isText = mimeType.startsWith('text/') || ['application/json', 'application/xml'].includes(mimeType);
+    const content = fs.readFileSync(filePath);
+
+    return isText
+      ? { uri, mimeType, text: content.toString('utf8') }
+      : { uri, mimeType, blob: content.toString('base64') };
+  }
+
+  // medSeq 자료의 첨부파일 목록과 로컬 다운로드 현황
+  async buildMedSeqFilesResource(medSeq, documents) {
+    const downloaded = documents
+      .filter(document => document.source === 'file' && document.medSeq === String(medSeq) && fs.existsSync(document.file_path))
+      .map(document => ({
+        file_name: document.file_name,
+        atcflNo: document.atcflNo,
+        file_type: document.file_type,
+        size_bytes: fs.statSync(document.file_path).size,
+        resource_uri: this.getFileResourceUri(document)
+      }));
+
+    const apiResult = await this.getFileListFromAPI(medSeq);
+    const attachments = apiResult.success && Array.isArray(apiResult.payload)
+      ? apiResult.payload.map((file, index) => {
+          const attachment = this.normalizeAttachment(file, medSeq, index);
+          const local = downloaded.find(item =>
+            (attachment.atcflNo && item.atcflNo === attachment.atcflNo) || item.file_name === attachment.orgnlAtchFileNm
+          );
+          return {
+            ...attachment,
+            downloaded: Boolean(local),
+            resource_uri: local ? local.resource_uri : null
+          };
+        })
+      : [];
+
+    return {
+      medSeq: String(medSeq),
+      attachments,
+      attachments_error: apiResult.success ? null : apiResult.error,
+      downloaded_files: downloaded
+    };
+  }
+
+  // 취소된 도구 호출의 결과
+  buildCancelledResult(name) {
+    const cancelledResult = {
+      success: false,
+      cancelled: true,
+      error: createCancelledError().message,
+      error_type: 'CancelledError',
+      error_code: TOOL_ERROR_CODES.CANCELLED,
+      tool: name
+    };
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(cancelledResult, null, 2)
+        }
+      ],
+      isError: true
+    };
+  }
+
+  // 도구 인자 검증 실패 결과 (errors: 인자별 { field, code, message })
+  buildInvalidArgumentsResult(name, errors) {
+    const invalidResult = {
+      success: false,
+      error: `도구 인자가 올바르지 않습니다: ${errors.map(error => error.message).join(' / ')}`,
+      error_type: 'ValidationError',
+      error_code: TOOL_ERROR_CODES.INVALID_ARGUMENTS,
+      tool: name,
+      errors
+    };
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(invalidResult, null, 2)
+        }
+      ],
+      isError: true
+    };
+  }
+
+  // 도구 인자 검증 (inputSchema 검사 후 경로 인자가 허용된 폴더 안에 있는지 확인)
+  // 반환: { args: 숫자 문자열을 정수로 바꾼 인자, errors: [{ field, code, message }] }
+  validateToolArguments(tool, args) {
+    const errors = [];
+    const validated = validateSchemaValue(tool.inputSchema, args, '', errors);
+
+    for (const field of PATH_ARGUMENT_NAMES) {
+      const value = validated[field];
+      if (typeof value !== 'string' || errors.some(error => error.field === field)) continue;
+      const target = resolveRealPath(value);
+      if (!this.allowedPathRoots.some(root => isPathInside(target, root))) {
+        errors.push({
+          field,
+          code: 'path_not_allowed',
+          message: `${field}은(는) 허용된 폴더(${this.allowedPathRoots.join(', ')}) 안에 있어야 합니다: ${value}`
+        });
+      }
+    }
+
+    return { args: validated, errors };
+  }
+
+  // 도구 이름에 맞는 실행 함수 호출
+  // context: { progress, signal } (요청별 진행 알림, 요청 취소 신호)
+  async callTool(name, args, context = {}) {
+    switch (name) {
+      case "kosha_search":
+        return await this.executeKoshaSearch(args, context);
+      case "kosha_page_crawl":
+        return await this.executePageCrawl(args, context);
+      case "kosha_file_list":
+        return await this.executeFileList(args, context);
+      case "kosha_local_search":
+        return await this.executeLocalSearch(args, context);
+      case "kosha_extract_text":
+        return await this.executeExtractText(args, context);
+      case "kosha_guide":
+        return await this.executeGuideLookup(args, context);
+      case "kosha_law_article":
+        return await this.executeLawArticle(args, context);
+      case "kosha_archive_sync":
+        return await this.executeArchiveSync(args, context);
+      case "kosha_selenium_crawl":
+        return await this.executeSeleniumCrawl(args, context);
+      default:
+        throw new McpError(ErrorCode.InvalidParams, `알 수 없는 도구입니다: ${name}`, {
+          error_code: TOOL_ERROR_CODES.UNKNOWN_TOOL,
+          tool: name
+        });
+    }
+  }
+
+  // 설정 파일 로드 (KOSHA_CONFIG_PATH > 작업 폴더 > 서버 폴더 순서)
+  loadConfig() {
+    const candidates = process.env.KOSHA_CONFIG_PATH
+      ? [path.resolve(process.env.KOSHA_CONFIG_PATH)]
+      : [path.resolve(CONFIG_FILE_NAME), path.join(__dirname, CONFIG_FILE_NAME)];
+
+    for (const configPath of candidates) {
+      if (!fs.existsSync(configPath)) {
+        continue;
+      }
+      try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`설정 파일을 읽을 수 없습니다 (${configPath}): ${error.message}`);
+      }
+    }
+
+    return {};
+  }
+
+  // 로거 설정 (환경변수 KOSHA_LOG_LEVEL / KOSHA_LOG_FILE 또는 설정 파일 logging 항목, 파일 경로가 off면 stderr에만 기록)
+  configureLogger() {
+    const loggingConfig = this.config.logging || {};
+    const level = String(process.env.KOSHA_LOG_LEVEL || loggingConfig.level || DEFAULT_LOG_LEVEL).trim().toLowerCase();
+    const filePath = process.env.KOSHA_LOG_FILE ?? loggingConfig.file ?? DEFAULT_LOG_FILE;
+    const maxFileBytes = parseInt(process.env.KOSHA_LOG_MAX_BYTES ?? loggingConfig.maxBytes, 10);
+
+    logger.configure({
+      level,
+      filePath: filePath && !['off', 'none', 'false'].includes(String(filePath).toLowerCase()) ? filePath : null,
+      maxFileBytes: Number.isFinite(maxFileBytes) && maxFileBytes > 0 ? maxFileBytes : MAX_LOG_FILE_BYTES,
+      redact: (text) => this.redactSecrets(text)
+    });
+  }
+
+  // 경로 인자(downloadPath, filePath)를 허용할 폴더 목록
+  // (환경변수 KOSHA_ALLOWED_PATHS(경로 구분자로 구분) 또는 설정 파일 allowedPaths, 기본값: 작업 폴더)
+  loadAllowedPathRoots() {
+    const configured = process.env.KOSHA_ALLOWED_PATHS
+      ? process.env.KOSHA_ALLOWED_PATHS.split(path.delimiter)
+      : [].concat(this.config.allowedPaths || []);
+    const roots = configured.map(root => String(root).trim()).filter(Boolean);
+    return (roots.length > 0 ? roots : [process.cwd()]).map(root => resolveRealPath(root));
+  }
+
+  // 서비스키 목록 로드 (환경변수 KOSHA_SERVICE_KEYS / KOSHA_SERVICE_KEY, 설정 파일 serviceKeys / serviceKey)
+  loadServiceKeys() {
+    const splitKeys = (value) => String(value || '').split(/[\s,]+/);
+    const rawKeys = [
+      ...splitKeys(process.env.KOSHA_SERVICE_KEYS),
+      ...splitKeys(process.env.KOSHA_SERVICE_KEY),
+      ...(Array.isArray(this.config.serviceKeys) ? this.config.serviceKeys : splitKeys(this.config.serviceKeys)),
+      ...splitKeys(this.config.serviceKey)
+    ];
+
+    const keys = [];
+    for (const rawKey of rawKeys) {
+      let key = String(rawKey).trim();
+      if (!key) continue;
+
+      // 공공데이터포털의 인코딩 키(Encoding)가 들어오면 디코딩 키로 변환
+      if (key.includes('%')) {
+        try {
+          key = decodeURIComponent(key);
+        } catch (error) {
+          // 디코딩 실패 시 원본 사용
+        }
+      }
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    }
+
+    return keys.map((key, index) => ({
+      key,
+      label: `key#${index + 1}`,
+      disabledUntil: 0,
+      lastError: null
+    }));
+  }
+
+  // 현재 사용 가능한 서비스키를 로테이션 순서대로 반환
+  getAvailableServiceKeys() {
+    const now = Date.now();
+    const ordered = [];
+    for (let i = 0; i < this.serviceKeys.length; i++) {
+      const entry = this.serviceKeys[(this.serviceKeyIndex + i) % this.serviceKeys.length];
+      if (entry.disabledUntil <= now) {
+        ordered.push(entry);
+      }
+    }
+    return ordered;
+  }
+
+  // 한도 초과 또는 미등록 키를 일정 시간 제외하고 다음 키로 전환
+  markServiceKeyUnavailable(entry, reasonCode) {
+    let disabledUntil = Date.now() + SERVICE_KEY_RETRY_DELAY_MS;
+    if (reasonCode === '22') {
+      // 일일 트래픽 한도는 한국 시간 자정에 초기화됨
+      const kstOffset = 9 * 60 * 60 * 1000;
+      const kstNow = new Date(Date.now() + kstOffset);
+      disabledUntil = Date.UTC(kstNow.getUTCFullYear(), kstNow.getUTCMonth(), kstNow.getUTCDate() + 1) - kstOffset;
+    }
+
+    entry.disabledUntil = disabledUntil;
+    entry.lastError = `${reasonCode} ${SERVICE_KEY_ROTATION_CODES[reasonCode] || ''}`.trim();
+
+    const index = this.serviceKeys.indexOf(entry);
+    this.serviceKeyIndex = (index + 1) % this.serviceKeys.length;
+    logger.warning(`⚠️ 서비스키 ${entry.label} 사용 중지 (${entry.lastError}), 다음 키로 전환합니다.`, {
+      disabled_until: new Date(disabledUntil).toISOString()
+    });
+  }
+
+  // 응답에서 서비스키 관련 오류 코드 추출 (JSON resultCode 또는 게이트웨이 XML returnReasonCode)
+  detectServiceKeyError(status, responseText, parsedResponse) {
+    const header = parsedResponse && parsedResponse.response && parsedResponse.response.header;
+    let code = header && header.resultCode !== undefined ? String(header.resultCode) : null;
+
+    if (!code && typeof responseText === 'string') {
+      const reasonMatch = responseText.match(/<returnReasonCode>\s*(\d+)\s*<\/returnReasonCode>/);
+      if (reasonMatch) {
+        code = reasonMatch[1];
+      } else {
+        const nameMatch = Object.entries(SERVICE_KEY_ROTATION_CODES)
+          .find(([, errorName]) => responseText.includes(errorName));
+        if (nameMatch) {
+          code = nameMatch[0];
+        }
+      }
+    }
+
+    if (!code && status === 429) {
+      code = '22';
+    }
+
+    return code && SERVICE_KEY_ROTATION_CODES[code] ? code : null;
+  }
+
+  // 문자열에서 서비스키를 가림 (원문, URL 인코딩 형태, serviceKey 파라미터 모두)
+  redactSecrets(text) {
+    if (typeof text !== 'string' || !text) {
+      return text;
+    }
+
+    let redacted = text;
+    for (const { key } of this.serviceKeys) {
+      const variants = new Set([key, encodeURIComponent(key), new URLSearchParams({ k: key }).toString().slice(2)]);
+      for (const variant of variants) {
+        redacted = redacted.split(variant).join('***');
+      }
+    }
+    return redacted.replace(/(serviceKey=)[^&"'\s<]+/gi, '$1***');
+  }
+
+  // 다운로드 엔진 생성 (환경변수 KOSHA_DOWNLOAD_* 또는 설정 파일 download 항목)
+  createDownloadEngine() {
+    const downloadConfig = this.config.download || {};
+    const setting = (envName, configured, defaultValue, minimum) => {
+      const value = parseInt(process.env[envName] ?? configured, 10);
+      return Number.isFinite(value) && value >= minimum ? value : defaultValue;
+    };
+
+    return new DownloadEngine({
+      concurrency: setting('KOSHA_DOWNLOAD_CONCURRENCY', downloadConfig.concurrency, DEFAULT_DOWNLOAD_CONCURRENCY, 1),
+      retries: setting('KOSHA_DOWNLOAD_RETRIES', downloadConfig.retries, DEFAULT_DOWNLOAD_RETRIES, 0),
+      retryDelayMs: setting('KOSHA_DOWNLOAD_RETRY_DELAY_MS', downloadConfig.retryDelayMs, DEFAULT_DOWNLOAD_RETRY_DELAY_MS, 0),
+      idleTimeoutMs: setting('KOSHA_DOWNLOAD_IDLE_TIMEOUT_MS', downloadConfig.idleTimeoutMs, DEFAULT_DOWNLOAD_IDLE_TIMEOUT_MS, 1000)
+    });
+  }
+
+  // 브라우저 엔진 결정 (도구 인자 engine → 환경변수 KOSHA_BROWSER_ENGINE → 설정 파일 browser.engine)
+  resolveBrowserEngine(engine) {
+    const browserConfig = this.config.browser || {};
+    const value = String(engine || process.env.KOSHA_BROWSER_ENGINE || browserConfig.engine || DEFAULT_BROWSER_ENGINE)
+      .trim()
+      .toLowerCase();
+    if (!BROWSER_ENGINES.includes(value)) {
+      const message = `지원하지 않는 브라우저 엔진입니다: ${value} (가능한 값: ${BROWSER_ENGINES.join(', ')})`;
+      // 도구 인자로 받은 값이면 인자 오류, 환경변수/설정 파일 값이면 일반 오류
+      throw engine ? createInvalidArgumentsError(message, 'engine') : new Error(message);
+    }
+    return value;
+  }
+
+  // 브라우저 드라이버 실행 (환경변수 KOSHA_CHROME_PATH / KOSHA_CHROMEDRIVER_PATH 또는 설정 파일 browser 항목)
+  // signal: 요청 취소 신호 (취소되면 브라우저를 닫아 진행 중인 명령을 끝냄)
+  async launchBrowser(engine, { headless = true, downloadPath = null, slowMo = 0, signal = null } = {}) {
+    throwIfCancelled(signal);
+    const browserConfig = this.config.browser || {};
+    const resolvedEngine = this.resolveBrowserEngine(engine);
+    const configured = (envName, configKey) => {
+      if (process.env[envName]) {
+        return { path: path.resolve(process.env[envName]), source: `env:${envName}` };
+      }
+      if (browserConfig[configKey]) {
+        return { path: path.resolve(browserConfig[configKey]), source: `config:browser.${configKey}` };
+      }
+      return null;
+    };
+
+    const chromeBinary = discoverChromeBinary({
+      configured: configured('KOSHA_CHROME_PATH', 'chromePath'),
+      preferBundled: resolvedEngine === 'puppeteer'
+    });
+    const chromeDriver = resolvedEngine === 'selenium'
+      ? discoverChromeDriver({ configured: configured('KOSHA_CHROMEDRIVER_PATH', 'chromedriverPath') })
+      : null;
+
+    // 화면이 없는 리눅스 서버에서는 창을 띄울 수 없으므로 헤드리스로 실행
+    const hasDisplay = process.platform !== 'linux' || Boolean(process.env.DISPLAY || process.env.WAYLAND_DISPLAY);
+    const info = {
+      engine: resolvedEngine,
+      headless: Boolean(headless) || !hasDisplay,
+      chrome_path: chromeBinary.path,
+      chrome_source: chromeBinary.source,
+      ...(chromeDriver && { chromedriver_path: chromeDriver.path, chromedriver_source: chromeDriver.source })
+    };
+
+    if (downloadPath) {
+      fs.mkdirSync(path.resolve(downloadPath), { recursive: true });
+    }
+
+    logger.info(`🧭 브라우저 실행: ${resolvedEngine} (${chromeBinary.path || '자동 탐색'}, headless=${info.headless})`, {
+      chrome_source: chromeBinary.source
+    });
+    const driver = resolvedEngine === 'selenium'
+      ? await SeleniumDriver.launch({
+        headless: info.headless,
+        executablePath: chromeBinary.path,
+        driverPath: chromeDriver.path,
+        downloadPath,
+        info
+      })
+      : await PuppeteerDriver.launch({
+        headless: info.headless,
+        executablePath: chromeBinary.path,
+        downloadPath,
+        slowMo: info.headless ? 0 : slowMo,
+        info
+      });
+
+    if (signal) {
+      driver.signal = signal;
+      if (signal.aborted) {
+        await driver.close();
+        throw createCancelledError();
+      }
+      signal.addEventListener('abort', () => {
+        logger.notice(`🛑 요청 취소로 브라우저(${resolvedEngine})를 닫습니다.`);
+        driver.close().catch(() => {});
+      }, { once: true });
+    }
+    return driver;
+  }
+
+  // 다운로드 폴더의 매니페스트 (폴더별로 한 번만 읽음)
+  getDownloadManifest(downloadPath) {
+    const dir = path.resolve(downloadPath);
+    if (!this.manifests.has(dir)) {
+      this.manifests.set(dir, new DownloadManifest({ dir }));
+    }
+    return this.manifests.get(dir);
+  }
+
+  // 응답 캐시 생성 (환경변수 KOSHA_CACHE_* 또는 설정 파일 cache 항목)
+  createResponseCache() {
+    const cacheConfig = this.config.cache || {};
+    const configuredTtl = cacheConfig.ttlSeconds || {};
+    const ttlFromEnv = (name) => process.env[name] !== undefined ? parseInt(process.env[name], 10) : undefined;
+
+    const ttlSeconds = {};
+    for (const [endpoint, defaultTtl] of Object.entries(DEFAULT_CACHE_TTL_SECONDS)) {
+      const envName = `KOSHA_CACHE_TTL_${endpoint.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+      const ttl = ttlFromEnv(envName) ?? configuredTtl[endpoint] ?? defaultTtl;
+      ttlSeconds[endpoint] = Number.isFinite(Number(ttl)) ? Number(ttl) : defaultTtl;
+    }
+
+    return new ResponseCache({
+      dir: path.resolve(process.env.KOSHA_CACHE_DIR || cacheConfig.dir || '.kosha-cache'),
+      ttlSeconds,
+      maxBytes: parseInt(process.env.KOSHA_CACHE_MAX_BYTES || cacheConfig.maxBytes, 10) || DEFAULT_CACHE_MAX_BYTES
+    });
+  }
+
+  // cacheMode 인자 검증
+  normalizeCacheMode(cacheMode) {
+    const mode = cacheMode || 'default';
+    if (!CACHE_MODES.includes(mode)) {
+      throw createInvalidArgumentsError(`지원하지 않는 cacheMode 값입니다: ${mode} (허용: ${CACHE_MODES.join(', ')})`, 'cacheMode');
+    }
+    return mode;
+  }
+
+  // cacheMode에 따라 캐시를 조회하거나 원본을 호출하고 결과를 저장
+  // - default: 유효한 캐시가 있으면 사용, 없으면 호출 후 저장
+  // - bypass: 캐시를 읽지 않고 호출한 뒤 새 응답으로 캐시 갱신
+  // - only-if-cached: 캐시만 사용, 없으면 오류
+  async withCache(endpoint, params, cacheMode, fetcher, isCacheable) {
+    if (cacheMode !== 'bypass') {
+      const cached = this.cache.get(endpoint, params);
+      if (cached) {
+        return { value: cached.value, cache: { status: 'hit', age_ms: cached.ageMs } };
+      }
+      if (cacheMode === 'only-if-cached') {
+        throw Object.assign(new Error(`캐시된 응답이 없습니다 (cacheMode: only-if-cached, endpoint: ${endpoint})`), {
+          code: TOOL_ERROR_CODES.CACHE_MISS
+        });
+      }
+    }
+
+    const value = await fetcher();
+    if (isCacheable(value)) {
+      try {
+        this.cache.set(endpoint, params, value);
+      } catch (error) {
+        logger.warning(`⚠️ 캐시 저장 실패: ${error.message}`);
+      }
+    }
+    return { value, cache: { status: cacheMode === 'bypass' ? 'bypass' : 'miss' } };
+  }
+
+  // 여러 호출의 캐시 적중 수를 하나의 상태로 요약
+  summarizeCacheStatus(cacheMode, hits, total) {
+    let status = 'miss';
+    if (cacheMode === 'bypass') {
+      status = 'bypass';
+    } else if (hits === total && hits > 0) {
+      status = 'hit';
+    } else if (hits > 0) {
+      status = 'partial';
+    }
+    return { mode: cacheMode, status, hits, misses: total - hits };
+  }
+
+  // 도구 결과의 텍스트 콘텐츠에서 서비스키 제거
+  redactToolResult(result) {
+    if (!result || !Array.isArray(result.content)) {
+      return result;
+    }
+    return {
+      ...result,
+      content: result.content.map(item =>
+        item.type === 'text' ? { ...item, text: this.redactSecrets(item.text) } : item
+      )
+    };
+  }
+
+  // URL에서 파일명과 확장자 추출하는 헬퍼 함수
+  extractFileNameFromUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const pathname = urlObj.pathname;
+      const segments = pathname.split('/');
+      let fileName = segments[segments.length - 1];
+      try {
+        fileName = decodeURIComponent(fileName);
+      } catch (error) {
+        // 잘못된 퍼센트 인코딩은 그대로 사용
+      }
+      
+      // 파일명이 없거나 확장자가 없는 경우 URL 해시로 기본값 설정 (같은 URL은 같은 이름)
+      if (!fileName || !fileName.includes('.')) {
+        fileName = `kosha_media_${crypto.createHash('sha256').update(url).digest('hex').slice(0, 16)}.bin`;
+      }
+      
+      return fileName;
+    } catch (error) {
+      // URL 파싱 실패시 기본 파일명 생성
+      return `kosha_media_${crypto.createHash('sha256').update(String(url)).digest('hex').slice(0, 16)}.bin`;
+    }
+  }
+
+
+
+  // KOSHA 포털 페이지 크롤링 함수
+  async executePageCrawl(args, { progress = new ProgressReporter(), signal = null } = {}) {
+    try {
+      const {
+        pageUrl,
+        downloadPath = "./downloads",
+        useHeadless = true,
+        autoDownload = true,
+        useSelenium = false,
+        force = false,
+        extractArchives = true
+      } = args;
+      const fileTypes = this.normalizeFileTypes(args.fileTypes);
+      const cacheMode = this.normalizeCacheMode(args.cacheMode);
+      const engine = this.resolveBrowserEngine(args.engine);
+      
+      // Selenium 사용 옵션이 활성화된 경우
+      if (useSelenium) {
+        logger.info('🔄 Selenium 모드로 전환합니다...');
+        try {
+          // 실패 결과(success: false)도 페이지 크롤링으로 넘어감
+          const seleniumResult = await this.executeSeleniumCrawl({ ...args, engine: 'selenium' }, { progress, signal });
+          const seleniumOutcome = JSON.parse(seleniumResult.content[0].text);
+          if (seleniumOutcome.success) {
+            return seleniumResult;
+          }
+          throw new Error(seleniumOutcome.error || seleniumOutcome.message);
+        } catch (seleniumError) {
+          // 취소된 요청은 다른 방식으로 다시 시도하지 않음
+          throwIfCancelled(signal);
+          logger.warning(`❌ Selenium 실행 실패, ${engine}로 fallback: ${seleniumError.message}`);
+          // Selenium 실패 시 페이지 크롤링으로 fallback
+        }
+      }
+
+      // URL 유효성 검증
+      if (!pageUrl) {
+        throw createInvalidArgumentsError("pageUrl은 필수 매개변수입니다.", 'pageUrl');
+      }
+
+      let validUrl;
+      try {
+        validUrl = new URL(pageUrl);
+      } catch (error) {
+        throw createInvalidArgumentsError("유효하지 않은 URL입니다.", 'pageUrl');
+      }
+      if (!isKoshaHostname(validUrl.hostname)) {
+        throw createInvalidArgumentsError("KOSHA 포털 도메인이 아닙니다.", 'pageUrl');
+      }
+
+      const startTime = Date.now();
+      const extractedLinks = [];
+      let downloadResults = [];
+      let bulkDownloadResult = null;
+      let apiCache = null;
+      let browserInfo = null;
+
+      // 1. 먼저 KOSHA API로 파일 목록 조회 시도
+      const urlParams = new URLSearchParams(pageUrl.split('?')[1] || '');
+      const medSeq = urlParams.get('medSeq');
+      let apiSuccess = false;
+      let apiFiles = [];
+      
+      if (medSeq) {
+        logger.info('🔍 API 우선 시도', { medSeq });
+        await progress.step(`파일 목록 API 조회 중 (medSeq=${medSeq})`);
+        try {
+          const apiResult = await this.getFileListFromAPI(medSeq, { cacheMode, signal });
+          logger.debug('🔍 API 호출 결과', this.summarizeFileListResult(medSeq, apiResult));
+          apiCache = apiResult.cache || null;
+          
+                      if (apiResult.success && apiResult.result === 'success') {
+            // API 응답에서 파일 정보 추출 (요청한 파일 타입만)
+            const files = apiResult.payload || apiResult.data.payload || [];
+            apiFiles = Array.isArray(files) ? files : [];
+            if (Array.isArray(files) && files.length > 0) {
+              const matchedFiles = [];
+              files.forEach((file, index) => {
+                const fileName = file.orgnlAtchFileNm || file.fileName || file.fileNm || `파일 ${index + 1}`;
+                
+                // 요청한 파일 타입만 필터링
+                if (this.matchesFileTypes(fileName, fileTypes)) {
+                  extractedLinks.push(this.buildApiAttachmentLink(file, index));
+                  matchedFiles.push(file);
+                }
+              });
+              
+              if (matchedFiles.length > 0) {
+                apiSuccess = true;
+                bulkDownloadResult = {
+                  success: true,
+                  method: 'kosha_api_success',
+                  message: `API로 ${files.length}개 파일 정보 조회 완료`,
+                  files_count: matchedFiles.length
+                };
+                logger.info(`✅ API로 ${matchedFiles.length}개 파일 정보 추출 완료 (전체 ${files.length}개 중)`, { medSeq, file_types: fileTypes });
+                await progress.step(`파일 목록 확인: ${matchedFiles.length}개 (API, 전체 ${files.length}개)`);
+              } else {
+                logger.warning(`⚠️ API에서 요청한 타입(${fileTypes.join(', ')})의 파일을 찾을 수 없음 - 브라우저 크롤링으로 전환`, { medSeq });
+              }
+            } else {
+              logger.warning('⚠️ API 응답은 성공했지만 파일 목록이 비어있음 - 브라우저 크롤링으로 전환', { medSeq });
+            }
+          } else {
+            logger.warning(`⚠️ API 응답 실패: result=${apiResult.result}, message=${apiResult.message}`, { medSeq });
+          }
+        } catch (apiError) {
+          throwIfCancelled(signal);
+          logger.warning(`⚠️ API 호출 실패: ${apiError.message}`, { medSeq });
+        }
+      }
+
+      // 2. API가 실패한 경우에만 브라우저 크롤링 시도
+      if (!apiSuccess) {
+        logger.info(`🔄 API 실패, 브라우저(${engine}) 크롤링으로 전환...`, { medSeq });
+        await progress.step(`브라우저(${engine})로 페이지 여는 중`);
+        
+        // 브라우저로 페이지 크롤링 (engine 인자로 Puppeteer/Selenium 선택)
+        const browser = await this.launchBrowser(engine, {
+          headless: useHeadless,
+          slowMo: 250, // 창을 띄울 때는 사람처럼 천천히 동작
+          signal
+        });
+        browserInfo = browser.info;
+
+      try {
+        // 사람처럼 페이지 접근
+        logger.debug('🌐 페이지 로딩 시작...', { url: pageUrl });
+        await browser.goto(pageUrl, {
+          waitUntil: 'networkidle0', // 네트워크가 완전히 안정될 때까지 대기
+          timeout: 30000
+        });
+        await progress.step('페이지 로드 완료, 파일 목록 대기 중');
+        
+        // 사람처럼 스크롤하면서 페이지 확인
+        logger.debug('📜 페이지 스크롤 중 (사람처럼 동작)...');
+        await browser.evaluate(async () => {
+          // 천천히 스크롤 다운
+          for (let i = 0; i < 3; i++) {
+            window.scrollBy(0, window.innerHeight / 3);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
+          // 다시 위로
+          window.scrollTo(0, 0);
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        });
+        
+        // 파일 목록이 로드될 때까지 대기
+        if (await browser.waitForSelector('ul.fileList.detail li', 10000)) {
+          logger.debug('✅ 파일 목록 로드 완료');
+        } else {
+          logger.warning('⚠️ 파일 목록 로딩 대기 중 타임아웃, 계속 진행...', { url: pageUrl });
+        }
+        
+        // 동적 콘텐츠 로딩 대기 (최적화)
+        logger.debug('⏳ 동적 콘텐츠 로딩 대기 중... (3초)');
+        await browser.sleep(3000); // 3초로 단축
+        
+        // 페이지 내용 가져오기
+        const content = await browser.content();
+        
+        // Cheerio로 HTML 파싱
+        const $ = cheerio.load(content);
+        
+        // 요청한 파일 타입의 확장자 링크 패턴 검색
+        const linkSelectors = this.getExtensionsForFileTypes(fileTypes)
+          .map(extension => `a[href*=".${extension}"]`);
+
+        if (fileTypes.includes('all') || fileTypes.includes('image')) {
+          // 이미지 관련 셀렉터
+          linkSelectors.push(
+            'img[src]',                  // 이미지 태그 직접
+            'a[href*="image"]',          // URL에 image 포함
+            'a[href*="img"]',            // URL에 img 포함
+            'a[href*="photo"]',          // URL에 photo 포함
+            'a[href*="picture"]',        // URL에 picture 포함
+            '.image-download',           // 이미지 다운로드 클래스
+            '.img-download',
+            '.photo-download'
+          );
+        }
+
+        // KOSHA 포털 특화 파일 정보 추출
+        const fileInfos = [];
+        
+        // 1. 파일 목록에서 파일 정보 추출 (실제 HTML 구조 기반)
+        $('ul.fileList.detail li').each((i, element) => {
+          const $element = $(element);
+          const $span = $element.find('span').first();
+          const downloadBtn = $element.find('button.download').first();
+          
+          if ($span.length > 0 && downloadBtn.length > 0) {
+            const fileText = $span.text().trim();
+            
+            // 파일명과 크기 추출: "[파일명] [크기]" 형식
+            const fileMatch = fileText.match(/^(.+?)\s*\[(.+?)\]$/);
+            if (fileMatch && fileMatch[1].includes('.')) { // 실제 파일 확장자가 있는지 확인
+              const fileName = fileMatch[1].trim();
+              const fileSize = fileMatch[2].trim();
+              
+              // 요청한 파일 타입만 필터링
+              if (this.matchesFileTypes(fileName, fileTypes)) {
+                fileInfos.push({
+                  fileName: fileName,
+                  fileSize: fileSize,
+                  text: fileText,
+                  downloadButton: downloadBtn,
+                  selector: 'ul.fileList.detail li button.download',
+                  type: this.getFileTypeFromFileName(fileName)
+                });
+              }
+            }
+          }
+        });
+
+        // 2. 일반적인 링크 추출 (요청한 파일 타입만)
+        linkSelectors.forEach(selector => {
+          $(selector).each((i, element) => {
+            const $element = $(element);
+            
+            if (selector === 'img[src]') {
+              // img 태그의 src 속성 처리
+              const src = $element.attr('src');
+              const alt = $element.attr('alt') || '이미지';
+              
+              if (src) {
+                let fullUrl;
+                try {
+                  fullUrl = new URL(src, pageUrl).toString();
+                  const fileName = this.extractFileNameFromUrl(fullUrl);
+                  
+                  if (this.matchesFileTypes(fileName, fileTypes)) {
+                    extractedLinks.push({
+                      url: fullUrl,
+                      text: alt,
+                      fileName: fileName,
+                      selector: selector,
+                      type: this.getFileTypeFromFileName(fileName)
+                    });
+                  }
+                } catch (error) {
+                  // URL 생성 실패시 무시
+                }
+              }
+            } else {
+              // 링크 태그 처리
+              const href = $element.attr('href');
+              const text = $element.text().trim();
+              
+              if (href) {
+                let fullUrl;
+                try {
+                  fullUrl = new URL(href, pageUrl).toString();
+                  const fileName = this.extractFileNameFromUrl(fullUrl);
+                  
+                  // 요청한 파일 타입만 필터링
+                  if (this.matchesFileTypes(fileName, fileTypes)) {
+                    extractedLinks.push({
+                      url: fullUrl,
+                      text: text || '제목 없음',
+                      fileName: fileName,
+                      selector: selector,
+                      type: this.getFileTypeFromFileName(fileName)
+                    });
+                  }
                 } catch (error) {
                   // URL 생성 실패시 무시
                 }
@@ -465,200 +3762,2304 @@ export class KoshaApiMCPServer {
           });
         });
 
-        // 3. KOSHA API를 통한 파일 목록 조회 시도
-        console.log(`📊 파일 정보 개수: ${fileInfos.length}개`);
-        console.log(`📊 자동 다운로드 설정: ${autoDownload}`);
-        
-        // URL에서 medSeq 추출
-        const urlParams = new URLSearchParams(pageUrl.split('?')[1] || '');
-        const medSeq = urlParams.get('medSeq');
-        
-        let bulkDownloadResult = null;
+        // 3. KOSHA API를 통한 파일 목록 조회 시도
+        logger.debug(`📊 파일 정보 개수: ${fileInfos.length}개`, { auto_download: autoDownload });
+        
+        // URL에서 medSeq 추출
+        const urlParams = new URLSearchParams(pageUrl.split('?')[1] || '');
+        const medSeq = urlParams.get('medSeq');
+        
+        if (medSeq) {
+          logger.debug('🔍 API 호출 시도...', { medSeq });
+          try {
+            const apiResult = await this.getFileListFromAPI(medSeq, { cacheMode, signal });
+            logger.debug('🔍 API 호출 결과', this.summarizeFileListResult(medSeq, apiResult));
+            if (apiResult.success && apiResult.data) {
+              
+              // API 응답에서 파일 정보 추출 (요청한 파일 타입만)
+              const files = apiResult.data.files || apiResult.data.data || apiResult.data;
+              if (Array.isArray(files)) {
+                files.forEach((file, index) => {
+                  const fileName = file.fileName || file.fileNm || `file_${index + 1}`;
+                  
+                  // 요청한 파일 타입만 필터링
+                  if (this.matchesFileTypes(fileName, fileTypes)) {
+                    extractedLinks.push({
+                      url: file.downloadUrl || file.fileUrl || `https://portal.kosha.or.kr/api/portal24/bizV/p/VCPDG01007/downloadFile?atcflNo=${file.atcflNo || file.fileId},${index + 1}`,
+                      text: fileName,
+                      fileName: fileName,
+                      fileSize: file.fileSize || file.fileSz || 'Unknown',
+                      selector: 'API',
+                      type: this.getFileTypeFromFileName(fileName),
+                      method: 'kosha_api',
+                      fileInfo: file
+                    });
+                  }
+                });
+                
+                bulkDownloadResult = { 
+                  success: true, 
+                  method: 'kosha_api_success',
+                  message: `API로 ${files.length}개 파일 정보 조회 완료`,
+                  files_count: files.length
+                };
+              } else {
+                logger.warning('⚠️ API 응답에서 파일 배열을 찾을 수 없음', { medSeq, result: apiResult.result });
+                bulkDownloadResult = { success: false, error: 'API 응답 형식 불일치' };
+              }
+            } else {
+              logger.warning('⚠️ API 호출 실패, 브라우저 방식으로 전환', { medSeq, error: apiResult.error });
+              bulkDownloadResult = { success: false, error: apiResult.error };
+            }
+          } catch (apiError) {
+            throwIfCancelled(signal);
+            logger.warning(`⚠️ API 호출 중 오류: ${apiError.message}`, { medSeq });
+            bulkDownloadResult = { success: false, error: apiError.message };
+          }
+        } else {
+          logger.warning('⚠️ URL에서 medSeq를 찾을 수 없음', { url: pageUrl });
+          bulkDownloadResult = { success: false, error: 'medSeq 없음' };
+        }
+
+        await progress.step(`페이지에서 파일 정보 ${fileInfos.length}개 분석 완료`);
+
+        // 4. 전체 다운로드가 실패한 경우만 개별 파일 정보 추출
+        if (!bulkDownloadResult || !bulkDownloadResult.success) {
+          for (let i = 0; i < fileInfos.length; i++) {
+            const fileInfo = fileInfos[i];
+            // 단순히 파일 정보만 추출 (실제 다운로드는 나중에 처리)
+            extractedLinks.push({
+              url: null, // URL은 나중에 생성
+              text: fileInfo.text,
+              fileName: fileInfo.fileName,
+              fileSize: fileInfo.fileSize,
+              selector: fileInfo.selector,
+              type: fileInfo.type,
+              method: 'file_info_extracted',
+              downloadButton: fileInfo.downloadButton
+            });
+          }
+        }
+
+        } finally {
+          await browser.close();
+        }
+      } // API 실패 시 브라우저 크롤링 끝
+
+      // 중복 제거
+      const uniqueLinks = extractedLinks.filter((link, index, self) => 
+        index === self.findIndex(l => l.url === link.url)
+      );
+
+      // 자동 다운로드 실행 (API 경로와 Puppeteer 경로 공통)
+      // API로 받은 첨부파일 목록은 매니페스트와 비교하여 새 파일과 변경된 파일만 다운로드
+      let syncPlan = null;
+      if (autoDownload && apiSuccess) {
+        syncPlan = this.planManifestSync(medSeq, downloadPath, apiFiles, { force, fileTypes });
+      }
+      if (autoDownload && uniqueLinks.length > 0) {
+        downloadResults = await this.downloadExtractedLinks(uniqueLinks, downloadPath, { medSeq, pageUrl, syncPlan, progress, signal });
+      }
+      if (syncPlan) {
+        this.finishManifestSync(syncPlan, downloadResults);
+      }
+      // 취소 전에 끝난 파일까지만 매니페스트에 기록하고 중단
+      throwIfCancelled(signal);
+
+      // 새로 받은 파일 중 ZIP 묶음은 자료별 폴더에 풀기
+      const extractedArchives = autoDownload && extractArchives
+        ? await this.extractDownloadedBundles(
+          downloadResults
+            .filter(link => link.download && link.download.success && !link.download.skipped && link.download.file_path)
+            .map(link => link.download.file_path),
+          downloadPath,
+          { medSeq }
+        )
+        : [];
+
+      const endTime = Date.now();
+      const duration = endTime - startTime;
+
+      const result = {
+        success: true,
+        message: "페이지 크롤링이 완료되었습니다.",
+        crawl_info: {
+          source_url: pageUrl,
+          duration_ms: duration,
+          links_found: extractedLinks.length,
+          unique_links: uniqueLinks.length,
+          file_types: fileTypes,
+          api_cache: apiCache,
+          browser: browserInfo,
+          auto_download_enabled: autoDownload,
+          downloads_attempted: downloadResults.length,
+          bulk_download_attempted: bulkDownloadResult !== null,
+          bulk_download_success: bulkDownloadResult && bulkDownloadResult.success,
+          bulk_download_files_count: bulkDownloadResult && bulkDownloadResult.success ? bulkDownloadResult.files_count : 0
+        },
+        // cheerio 버튼 객체는 직렬화할 수 없으므로 제외
+        extracted_links: uniqueLinks.map(({ downloadButton, ...link }) => link),
+        download_results: downloadResults.map(({ downloadButton, ...link }) => link),
+        bulk_download_info: bulkDownloadResult,
+        sync: syncPlan ? syncPlan.report : null,
+        extracted_archives: extractedArchives
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+
+    } catch (error) {
+      const errorResult = {
+        success: false,
+        error: error.message,
+        error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error),
+        crawl_params: {
+          pageUrl: args.pageUrl,
+          downloadPath: args.downloadPath || "./downloads",
+          useHeadless: args.useHeadless !== false,
+          autoDownload: args.autoDownload !== false,
+          fileTypes: args.fileTypes || ['all'],
+          engine: args.engine || null
+        }
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(errorResult, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // 추출된 링크 목록을 다운로드 (syncPlan이 있으면 매니페스트상 변경 없는 첨부파일은 건너뜀)
+  // signal이 취소되면 진행 중인 다운로드를 끊고 남은 링크는 받지 않음
+  async downloadExtractedLinks(links, downloadPath, { medSeq = null, pageUrl = null, syncPlan = null, progress = new ProgressReporter(), signal = null } = {}) {
+    // 파일마다 완료 알림 한 단계씩
+    progress.setRemaining(links.length);
+    let finished = 0;
+    const reportFinished = async (link, result) => {
+      finished++;
+      const download = result.download || {};
+      const name = download.file_name || link.fileName || link.url;
+      const state = download.skipped ? '변경 없음' : (download.success ? '완료' : `실패: ${download.error}`);
+      const bytes = download.file_size_bytes !== undefined
+        ? ` (${download.file_size_bytes}/${download.expected_size_bytes || download.file_size_bytes} bytes)`
+        : '';
+      const fields = { medSeq, file: name, bytes: download.file_size_bytes, duration_ms: download.download_duration_ms };
+      if (download.success && !download.skipped) {
+        logger.info('첨부파일 다운로드 완료', fields);
+      } else if (!download.success && !download.cancelled) {
+        logger.warning(`첨부파일 다운로드 실패: ${download.error}`, fields);
+      }
+      await progress.step(`첨부파일 ${finished}/${links.length} ${state}: ${name}${bytes}`);
+      return result;
+    };
+
+    const downloadLink = async (link) => {
+      try {
+        throwIfCancelled(signal);
+
+        // 이미 전체 다운로드로 완료된 파일은 건너뛰기
+        if (link.method === 'browser_download_all' && link.downloadResult) {
+          return {
+            ...link,
+            download: {
+              ...link.downloadResult,
+              success: true,
+              message: '전체 다운로드를 통해 이미 완료됨'
+            }
+          };
+        }
+
+        // URL이 없거나 실패한 경우 건너뛰기
+        if (!link.url || link.url === 'bulk_download_success') {
+          return {
+            ...link,
+            download: {
+              success: false,
+              error: 'URL을 사용할 수 없음 또는 이미 처리됨'
+            }
+          };
+        }
+
+        // 개별 파일 다운로드 (전체 다운로드가 실패한 경우)
+        if (link.method === 'file_info_extracted' && link.downloadButton) {
+          // 개별 버튼 클릭 시도
+          try {
+            await link.downloadButton.click();
+            return {
+              ...link,
+              download: {
+                success: true,
+                message: '개별 다운로드 버튼 클릭 완료 (파일 확인 필요)'
+              }
+            };
+          } catch (clickError) {
+            return {
+              ...link,
+              download: {
+                success: false,
+                error: `개별 다운로드 버튼 클릭 실패: ${clickError.message}`
+              }
+            };
+          }
+        }
+
+        // 매니페스트상 변경 없는 첨부파일은 다시 받지 않음
+        const unchanged = syncPlan && link.atcflNo ? syncPlan.unchanged.get(String(link.atcflNo)) : null;
+        if (unchanged) {
+          return {
+            ...link,
+            download: {
+              success: true,
+              skipped: true,
+              reason: 'unchanged',
+              file_name: path.basename(unchanged.file_path),
+              file_path: unchanged.file_path,
+              file_size_bytes: unchanged.record.size,
+              sha256: unchanged.record.sha256,
+              downloaded_at: unchanged.record.downloaded_at
+            }
+          };
+        }
+
+        // 기존 URL 기반 다운로드 (API 목록의 atcflSz로 크기 검증)
+        // 저장 이름은 Content-Disposition 우선, 없으면 원본 파일명(orgnlAtchFileNm) 또는 URL 경로의 파일명
+        const fileName = link.fileName || this.extractFileNameFromUrl(link.url);
+        
+        const downloadResult = await this.downloadFile(link.url, fileName, downloadPath, {
+          expectedSize: link.fileInfo ? link.fileInfo.atcflSz : null,
+          replacePath: syncPlan && link.atcflNo ? syncPlan.replaceable.get(String(link.atcflNo)) || null : null,
+          onProgress: (received, total) => progress.note(
+            `첨부파일 다운로드 중 (완료 ${finished}/${links.length}): ${fileName} (${received}${total ? `/${total}` : ''} bytes)`,
+            total ? received / total : null
+          ),
+          signal
+        });
+        if (syncPlan && link.atcflNo) {
+          downloadResult.sha256 = await hashFile(downloadResult.file_path);
+        }
+
+        // 다운로드한 파일을 로컬 색인에 추가
+        await this.indexDownloadedFile(downloadResult.file_path, {
+          title: link.fileName,
+          medSeq,
+          atcflNo: link.atcflNo,
+          portal_url: pageUrl
+        });
+
+        return {
+          ...link,
+          download: downloadResult
+        };
+        
+      } catch (error) {
+        return {
+          ...link,
+          download: {
+            success: false,
+            ...(error.cancelled ? { cancelled: true } : {}),
+            error: error.message,
+            attempts: error.attempts,
+            partial_path: error.partialPath || undefined
+          }
+        };
+      }
+    };
+
+    // 다운로드 엔진의 동시 실행 수 제한 안에서 처리 (결과는 링크 순서 유지)
+    return await this.downloader.runAll(links, async (link) => reportFinished(link, await downloadLink(link)));
+  }
+
+  // 파일 목록 API 항목을 다운로드 링크로 변환
+  buildApiAttachmentLink(file, index) {
+    const fileName = file.orgnlAtchFileNm || file.fileName || file.fileNm || `파일 ${index + 1}`;
+    const fileSize = file.atcflSz ? `${(file.atcflSz / (1024 * 1024)).toFixed(2)} MB` : 'Unknown';
+    return {
+      url: this.buildAttachmentDownloadUrl(file.atcflNo),
+      text: `${fileName} [${fileSize}]`,
+      fileName: fileName,
+      fileSize: fileSize,
+      selector: 'KOSHA_API',
+      type: this.getFileTypeFromFileName(fileName),
+      method: 'kosha_api_success',
+      fileInfo: file,
+      atcflNo: file.atcflNo,
+      serverFileName: file.atcflSrvrFileNm,
+      serverPath: file.atcflSrvrStrgDtlPathAddr
+    };
+  }
+
+  // 첨부파일 목록과 매니페스트를 비교하여 동기화 계획 작성 (force면 모두 새로 받음)
+  // 삭제 여부는 전체 목록으로, 새 파일·변경 파일은 요청한 파일 타입 안에서만 판단
+  planManifestSync(medSeq, downloadPath, files, { force = false, fileTypes = ['all'] } = {}) {
+    const manifest = this.getDownloadManifest(downloadPath);
+    const attachments = files
+      .map((file, index) => this.normalizeAttachment(file, medSeq, index))
+      .filter(attachment => attachment.atcflNo);
+    const diff = manifest.diff(medSeq, attachments);
+    const inScope = ({ attachment }) => this.matchesFileTypes(attachment.orgnlAtchFileNm, fileTypes);
+    diff.added = diff.added.filter(inScope);
+    diff.changed = diff.changed.filter(inScope);
+    diff.unchanged = diff.unchanged.filter(inScope);
+    const describe = ({ attachment, reason }) => ({
+      atcflNo: attachment.atcflNo,
+      orgnlAtchFileNm: attachment.orgnlAtchFileNm,
+      atcflSz: attachment.atcflSz,
+      ...(reason ? { reason } : {})
+    });
+
+    return {
+      manifest,
+      medSeq,
+      attachments: new Map(attachments.map(attachment => [String(attachment.atcflNo), attachment])),
+      unchanged: force
+        ? new Map()
+        : new Map(diff.unchanged.map(entry => [String(entry.attachment.atcflNo), entry])),
+      // 다시 받는 첨부파일은 이전 버전 파일을 덮어씀
+      replaceable: new Map([...diff.changed, ...(force ? diff.unchanged : [])].map(entry => [
+        String(entry.attachment.atcflNo),
+        path.resolve(manifest.dir, entry.record.file_path)
+      ])),
+      report: {
+        manifest_path: manifest.filePath,
+        force,
+        new: diff.added.map(describe),
+        changed: diff.changed.map(describe),
+        unchanged: diff.unchanged.map(describe),
+        removed: diff.removed.map(({ record, file_path }) => ({
+          atcflNo: record.atcflNo,
+          orgnlAtchFileNm: record.orgnlAtchFileNm,
+          file_path,
+          local_file_kept: fs.existsSync(file_path)
+        })),
+        downloaded: 0,
+        skipped: 0,
+        failed: 0
+      },
+      removed: diff.removed
+    };
+  }
+
+  // 다운로드 결과를 매니페스트에 기록하고 삭제된 첨부파일 기록 정리
+  finishManifestSync(syncPlan, downloadResults) {
+    const { manifest, medSeq, report } = syncPlan;
+
+    for (const result of downloadResults) {
+      const attachment = result.atcflNo ? syncPlan.attachments.get(String(result.atcflNo)) : null;
+      if (!attachment) continue;
+
+      if (!result.download || !result.download.success) {
+        report.failed++;
+      } else if (result.download.skipped) {
+        report.skipped++;
+      } else {
+        report.downloaded++;
+        manifest.record(medSeq, {
+          atcflNo: attachment.atcflNo,
+          atcflSrvrFileNm: attachment.atcflSrvrFileNm,
+          orgnlAtchFileNm: attachment.orgnlAtchFileNm,
+          filePath: result.download.file_path,
+          size: result.download.file_size_bytes,
+          sha256: result.download.sha256,
+          sourceUrl: result.url
+        });
+      }
+    }
+
+    for (const { record } of syncPlan.removed) {
+      manifest.remove(medSeq, record.atcflNo);
+    }
+    manifest.markSynced(medSeq);
+    manifest.save();
+  }
+
+  // 파일 타입 추출 헬퍼 함수
+  getFileTypeFromUrl(url) {
+    const extension = url.split('.').pop().toLowerCase().split('?')[0];
+    return this.getFileTypeFromExtension(extension);
+  }
+
+  // 파일명에서 파일 타입 추출
+  getFileTypeFromFileName(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return this.getFileTypeFromExtension(extension);
+  }
+
+  // 확장자에서 파일 타입 매핑
+  getFileTypeFromExtension(extension) {
+    return FILE_TYPE_MAP[extension] || 'unknown';
+  }
+
+  // fileTypes 인자를 정규화 (문자열/배열 모두 허용, 기본값: all)
+  normalizeFileTypes(fileTypes) {
+    if (fileTypes === undefined || fileTypes === null || fileTypes === '') {
+      return ['all'];
+    }
+    const list = Array.isArray(fileTypes) ? fileTypes : String(fileTypes).split(',');
+    const normalized = list.map(type => String(type).trim().toLowerCase()).filter(Boolean);
+    const invalid = normalized.filter(type => !FILE_TYPE_FILTERS.includes(type));
+    if (invalid.length > 0) {
+      throw createInvalidArgumentsError(`지원하지 않는 fileTypes 값입니다: ${invalid.join(', ')} (허용: ${FILE_TYPE_FILTERS.join(', ')})`, 'fileTypes');
+    }
+    return normalized.length > 0 ? [...new Set(normalized)] : ['all'];
+  }
+
+  // 파일명이 요청한 파일 타입에 해당하는지 확인
+  matchesFileTypes(fileName, fileTypes) {
+    if (!fileName) return false;
+    if (fileTypes.includes('all')) return true;
+    return fileTypes.includes(this.getFileTypeFromFileName(fileName));
+  }
+
+  // 요청한 파일 타입에 해당하는 확장자 목록
+  getExtensionsForFileTypes(fileTypes) {
+    return Object.keys(FILE_TYPE_MAP).filter(extension =>
+      fileTypes.includes('all') || fileTypes.includes(FILE_TYPE_MAP[extension])
+    );
+  }
+
+  // 첨부파일 번호(atcflNo)로 다운로드 URL 생성
+  buildAttachmentDownloadUrl(atcflNo) {
+    return `${KOSHA_FILE_DOWNLOAD_URL}?atcflNo=${encodeURIComponent(atcflNo)}`;
+  }
+
+  // 파일 목록 API의 첨부파일 항목을 공통 형식으로 정규화
+  normalizeAttachment(file, medSeq, index = 0) {
+    const fileName = file.orgnlAtchFileNm || file.fileName || file.fileNm || `파일 ${index + 1}`;
+    const size = Number(file.atcflSz);
+    return {
+      medSeq: String(medSeq),
+      atcflNo: file.atcflNo || null,
+      orgnlAtchFileNm: fileName,
+      atcflSz: Number.isFinite(size) ? size : null,
+      atcflSrvrFileNm: file.atcflSrvrFileNm || null,
+      type: this.getFileTypeFromFileName(fileName),
+      downloadUrl: file.atcflNo ? this.buildAttachmentDownloadUrl(file.atcflNo) : null
+    };
+  }
+
+  // KOSHA 포털 다운로드 URL 생성 (정적 방식)
+  generateKoshaDownloadUrl(atcflNo, fileIndex = 1) {
+    const baseUrl = 'https://portal.kosha.or.kr';
+    return `${baseUrl}/api/portal24/bizV/p/VCPDG01007/downloadFile?atcflNo=${atcflNo},${fileIndex}`;
+  }
+
+  // atcflNo 추출 (HTML에서 썸네일 URL 패턴 기반)
+  extractAtcflNo(content, pageUrl) {
+    // URL에서 medSeq 추출
+    const urlParams = new URLSearchParams(pageUrl.split('?')[1] || '');
+    const medSeq = urlParams.get('medSeq');
+    
+    if (!medSeq) {
+      return null;
+    }
+
+    // HTML에서 atcflNo 패턴 찾기
+    const atcflMatches = content.match(/atcflNo=([A-Z0-9]+)/g);
+    if (atcflMatches && atcflMatches.length > 0) {
+      // 첫 번째 atcflNo 사용 (보통 해당 페이지의 메인 콘텐츠)
+      const atcflNo = atcflMatches[0].replace('atcflNo=', '');
+      return atcflNo;
+    }
+
+    return null;
+  }
+
+  // 전체 다운로드 버튼을 통한 일괄 다운로드 (browser: PuppeteerDriver 또는 SeleniumDriver)
+  async downloadAllFilesViaBrowser(browser, downloadPath, { medSeq = null, extractArchives = true, progress = new ProgressReporter(), signal = null } = {}) {
+    try {
+      // 다운로드 폴더 설정
+      const fullDownloadPath = path.resolve(downloadPath);
+      if (!fs.existsSync(fullDownloadPath)) {
+        fs.mkdirSync(fullDownloadPath, { recursive: true });
+      }
+
+      // 브라우저 다운로드 설정
+      await browser.setDownloadPath(fullDownloadPath);
+
+      // 다운로드 시작 전 파일 목록 확인
+      const beforeFiles = fs.existsSync(fullDownloadPath) ? fs.readdirSync(fullDownloadPath) : [];
+
+      // 전체 다운로드 버튼 찾기 (실제 HTML 구조 기반)
+      logger.debug('🔍 전체 다운로드 버튼 검색 시작...');
+      const downloadAllSelectors = [
+        'button.downAll', // 실제 HTML에서 확인된 클래스
+        'button[class*="downAll"]',
+        'button[onclick*="downAll"]',
+        '.downAll',
+        'input[type="button"][value*="전체"]'
+      ];
+
+      let downloadAllButton = null;
+      
+      // 1. 일반적인 셀렉터로 찾기
+      for (const selector of downloadAllSelectors) {
+        try {
+          const buttons = await browser.findElements(selector);
+          if (buttons.length > 0) {
+            downloadAllButton = buttons[0];
+            logger.debug(`✅ 전체 다운로드 버튼 발견: ${selector}`);
+            break;
+          }
+        } catch (error) {
+          // 계속 다음 셀렉터 시도
+        }
+      }
+
+      // 2. 텍스트 기반으로 버튼 찾기
+      if (!downloadAllButton) {
+        try {
+          for (const button of await browser.findElements('button, a')) {
+            const text = await browser.getText(button);
+            if (text.includes('전체') || text.includes('모두') || text.includes('일괄') ||
+                text.includes('전부') || text.toLowerCase().includes('all')) {
+              logger.debug(`✅ 텍스트 기반으로 전체 다운로드 버튼 발견: "${text}"`);
+              downloadAllButton = button;
+              break;
+            }
+          }
+        } catch (error) {
+          logger.warning(`텍스트 기반 버튼 검색 실패: ${error.message}`);
+        }
+      }
+
+      // 3. 디버깅: 페이지의 모든 버튼 정보 출력
+      if (!downloadAllButton) {
+        logger.debug('🔍 페이지의 모든 버튼 정보를 확인합니다...');
+        try {
+          const allButtons = await browser.evaluate(() => {
+            const buttons = Array.from(document.querySelectorAll('button, a, input[type="button"], input[type="submit"]'));
+            return buttons.map(btn => ({
+              tagName: btn.tagName,
+              className: btn.className,
+              id: btn.id,
+              text: (btn.textContent || btn.innerText || '').trim().substring(0, 50),
+              onclick: btn.onclick ? 'has onclick' : 'no onclick',
+              href: btn.href || 'no href'
+            }));
+          });
+          
+          logger.debug(`📋 발견된 버튼/링크 ${allButtons.length}개`, { buttons: allButtons });
+          
+          // 다운로드와 관련된 버튼만 필터링
+          const downloadRelatedButtons = allButtons.filter(btn => 
+            btn.text.includes('다운') || btn.text.includes('down') || 
+            btn.className.includes('down') || btn.id.includes('down')
+          );
+          
+          if (downloadRelatedButtons.length > 0) {
+            logger.warning(`📥 다운로드 관련 버튼 ${downloadRelatedButtons.length}개 (전체 다운로드 버튼 아님)`, { buttons: downloadRelatedButtons });
+          }
+        } catch (debugError) {
+          logger.warning(`디버깅 정보 수집 실패: ${debugError.message}`);
+        }
+        
+        throw new Error('전체 다운로드 버튼을 찾을 수 없습니다. 위의 디버깅 정보를 확인하세요.');
+      }
+
+      // 전체 다운로드 버튼 클릭 (일반 클릭이 막히면 드라이버가 DOM click()으로 재시도)
+      logger.info('🔽 전체 다운로드 시작...', { medSeq });
+      await browser.scrollIntoView(downloadAllButton);
+      await browser.click(downloadAllButton);
+      await progress.step('전체 다운로드 버튼 클릭, 다운로드 대기 중');
+      
+      // 다운로드 완료 대기 (폴더 변화를 비교해 진행 중인 파일이 없어지고 크기가 멈출 때까지)
+      logger.debug('⏳ 다운로드 완료 대기 중...');
+      const downloadWait = await this.waitForBrowserDownloads(fullDownloadPath, beforeFiles, { progress, signal });
+
+      if (downloadWait.files.length > 0) {
+        const results = downloadWait.files.map(fileName => {
+          const filePath = path.join(fullDownloadPath, fileName);
+          const stats = fs.statSync(filePath);
+          return {
+            file_name: fileName,
+            file_path: filePath,
+            file_size_bytes: stats.size,
+            file_size_mb: (stats.size / (1024 * 1024)).toFixed(2)
+          };
+        });
+
+        // 다운로드한 파일을 로컬 색인(리소스 목록)에 추가
+        for (const file of results) {
+          await this.indexDownloadedFile(file.file_path, { medSeq });
+        }
+
+        // 전체 다운로드는 보통 ZIP 하나로 오므로 자료별 폴더에 풀기
+        const extractedArchives = extractArchives
+          ? await this.extractDownloadedBundles(results.map(file => file.file_path), fullDownloadPath, { medSeq })
+          : [];
+
+        const totalBytes = results.reduce((sum, file) => sum + file.file_size_bytes, 0);
+        await progress.step(`전체 다운로드 ${downloadWait.completed ? '완료' : '대기 시간 초과'}: ${results.length}개 파일 (${totalBytes} bytes)`);
+        if (downloadWait.completed) {
+          logger.info(`✅ 전체 다운로드 완료! ${results.length}개 파일 다운로드됨`, { medSeq, bytes: totalBytes, duration_ms: downloadWait.waited_ms });
+        } else {
+          logger.warning(`⚠️ 대기 시간 초과: ${results.length}개 완료, ${downloadWait.pending.length}개 진행 중`, { medSeq, duration_ms: downloadWait.waited_ms });
+        }
+        return {
+          success: true,
+          download_method: 'browser_download_all',
+          engine: browser.engine,
+          completed: downloadWait.completed,
+          files_count: results.length,
+          files: results,
+          pending_files: downloadWait.pending,
+          extracted_archives: extractedArchives,
+          total_wait_time: downloadWait.waited_ms
+        };
+      } else {
+        const pendingNote = downloadWait.pending.length > 0 ? ` (진행 중인 파일: ${downloadWait.pending.join(', ')})` : '';
+        throw new Error(`다운로드된 파일이 없습니다 (${Math.round(downloadWait.waited_ms / 1000)}초 대기)${pendingNote}`);
+      }
+
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw new Error(`전체 다운로드 실패: ${error.message}`);
+    }
+  }
+
+  // 다운로드 결과에서 ZIP 묶음(전체 다운로드)을 찾아 자료별 폴더에 풀기
+  // HWPX/DOCX/PPTX처럼 ZIP 구조인 문서는 detectDocumentFormat이 따로 구분하므로 제외됨
+  async extractDownloadedBundles(filePaths, downloadPath, { medSeq = null } = {}) {
+    const extracted = [];
+    for (const filePath of filePaths) {
+      try {
+        if (this.detectDocumentFormat(filePath) !== 'zip') {
+          continue;
+        }
+      } catch (error) {
+        continue;
+      }
+      try {
+        extracted.push(await this.extractZipBundle(filePath, downloadPath, { medSeq }));
+      } catch (error) {
+        logger.warning(`⚠️ 압축 해제 실패 (${path.basename(filePath)}): ${error.message}`, { medSeq });
+        extracted.push({ success: false, archive_path: filePath, error: error.message });
+      }
+    }
+    return extracted;
+  }
+
+  // ZIP 묶음을 <downloadPath>/<medSeq>/ 폴더에 풀기 (medSeq가 없으면 압축 파일 이름의 폴더)
+  // 항목 이름은 CP949/UTF-8을 판별해 디코딩하고, 폴더 밖을 가리키는 경로(zip-slip)는 건너뜀
+  async extractZipBundle(zipPath, downloadPath, { medSeq = null } = {}) {
+    const extractRoot = path.resolve(downloadPath, medSeq ? String(medSeq) : path.parse(zipPath).name);
+    const archive = ZipArchive.open(zipPath);
+    try {
+      const fileEntries = archive.entries.filter(entry => !entry.isDirectory);
+      if (fileEntries.length > MAX_BUNDLE_ENTRIES) {
+        throw new Error(`압축 파일 항목이 너무 많습니다: ${fileEntries.length}개 (최대 ${MAX_BUNDLE_ENTRIES}개)`);
+      }
+      const totalBytes = fileEntries.reduce((sum, entry) => sum + entry.size, 0);
+      if (totalBytes > MAX_BUNDLE_EXTRACT_BYTES) {
+        throw new Error(`압축을 풀면 ${totalBytes} bytes로 허용 크기(${MAX_BUNDLE_EXTRACT_BYTES} bytes)를 넘습니다.`);
+      }
+
+      const files = [];
+      const skipped = [];
+      let extractedBytes = 0;
+      for (const entry of fileEntries) {
+        const relativePath = this.resolveZipEntryPath(entry.name);
+        const targetPath = relativePath ? path.join(extractRoot, relativePath) : null;
+        const relativeToRoot = targetPath ? path.relative(extractRoot, targetPath) : '';
+        if (!targetPath || !relativeToRoot || relativeToRoot.startsWith('..') || path.isAbsolute(relativeToRoot)) {
+          skipped.push({ entry_name: entry.name, reason: 'unsafe_path' });
+          continue;
+        }
+
+        const tempPath = `${targetPath}${DOWNLOAD_TEMP_SUFFIX}`;
+        let target;
+        try {
+          fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+          // 선언된 크기와 남은 전체 한도 중 작은 값까지만 풀기 (중앙 디렉터리 크기를 속인 항목 방지)
+          extractedBytes += await archive.extractEntry(entry, tempPath, {
+            maxBytes: Math.min(entry.size, MAX_BUNDLE_EXTRACT_BYTES - extractedBytes)
+          });
+          // 같은 이름의 파일(개별로 받은 첨부파일 등)이 있으면 덮어쓰지 않고 " (n)" 접미사로 저장
+          target = await this.downloader.claimFilePath(path.dirname(targetPath), path.basename(targetPath), tempPath, null);
+          try {
+            fs.renameSync(tempPath, target.filePath);
+          } finally {
+            this.downloader.reservedPaths.delete(target.filePath);
+          }
+        } catch (error) {
+          fs.rmSync(tempPath, { force: true });
+          skipped.push({ entry_name: entry.name, reason: 'extract_failed', error: error.message });
+          continue;
+        }
+
+        const fileName = path.basename(target.filePath);
+        files.push({
+          file_name: fileName,
+          relative_path: path.relative(extractRoot, target.filePath).split(path.sep).join('/'),
+          file_path: target.filePath,
+          ...(target.suffixed ? { requested_file_name: path.basename(targetPath) } : {}),
+          ...(target.identical ? { replaced_identical: true } : {}),
+          file_type: this.getFileTypeFromFileName(fileName),
+          file_size_bytes: fs.statSync(target.filePath).size
+        });
+      }
+
+      // 풀어낸 파일도 로컬 색인(리소스 목록)에 추가
+      for (const file of files) {
+        await this.indexDownloadedFile(file.file_path, { medSeq });
+      }
+
+      logger.info(`📦 압축 해제 완료: ${path.basename(zipPath)} → ${extractRoot} (${files.length}개, 건너뜀 ${skipped.length}개)`, { medSeq });
+      return {
+        success: true,
+        archive_path: zipPath,
+        extract_path: extractRoot,
+        files_count: files.length,
+        files,
+        skipped
+      };
+    } finally {
+      archive.close();
+    }
+  }
+
+  // ZIP 항목 이름을 안전한 상대 경로로 변환 (절대 경로, 드라이브 문자, '..' 구간이 있으면 null)
+  resolveZipEntryPath(entryName) {
+    const normalized = String(entryName).replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[A-Za-z]:/.test(normalized)) {
+      return null;
+    }
+    const segments = normalized.split('/').filter(segment => segment && segment !== '.');
+    if (segments.length === 0 || segments.includes('..')) {
+      return null;
+    }
+    const sanitized = segments.map(segment => sanitizeFileName(segment));
+    return sanitized.every(Boolean) ? path.join(...sanitized) : null;
+  }
+
+  // 브라우저가 받은 파일을 다운로드 폴더 비교로 확인
+  // 진행 중인 파일(.crdownload, .part, .tmp)이 없고 새 파일 목록과 크기가 stableMs 동안 그대로이면 완료로 보고,
+  // idleTimeoutMs 동안 폴더에 아무 변화가 없거나 maxWaitMs가 지나면 그때까지의 결과를 반환
+  // signal이 취소되면 새로 생긴 진행 중인 파일을 지우고 취소 오류를 던짐
+  async waitForBrowserDownloads(dir, beforeFiles, {
+    stableMs = BROWSER_DOWNLOAD_STABLE_MS,
+    idleTimeoutMs = BROWSER_DOWNLOAD_IDLE_TIMEOUT_MS,
+    maxWaitMs = BROWSER_DOWNLOAD_MAX_WAIT_MS,
+    intervalMs = 1000,
+    progress = new ProgressReporter(),
+    signal = null
+  } = {}) {
+    const before = new Set(beforeFiles);
+    const startTime = Date.now();
+    let lastSnapshot = '';
+    let lastChange = startTime;
+    let files = [];
+    let pending = [];
+
+    while (true) {
+      try {
+        await sleepUnlessCancelled(intervalMs, signal);
+      } catch (error) {
+        const partials = (fs.existsSync(dir) ? fs.readdirSync(dir) : [])
+          .filter(name => !before.has(name) && isBrowserPartialDownload(name));
+        for (const name of partials) {
+          fs.rmSync(path.join(dir, name), { force: true, recursive: true });
+        }
+        if (partials.length > 0) {
+          logger.notice(`🛑 요청 취소로 받는 중이던 파일 ${partials.length}개를 삭제했습니다.`, { dir });
+        }
+        throw error;
+      }
+      const now = Date.now();
+      const entries = [];
+      for (const name of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+        if (before.has(name)) {
+          continue;
+        }
+        try {
+          const stats = fs.statSync(path.join(dir, name));
+          if (stats.isFile()) {
+            entries.push({ name, size: stats.size });
+          }
+        } catch (error) {
+          // 확인하는 사이에 이름이 바뀐 임시 파일
+        }
+      }
+
+      pending = entries.filter(entry => isBrowserPartialDownload(entry.name)).map(entry => entry.name);
+      files = entries
+        .filter(entry => !isBrowserPartialDownload(entry.name) && !entry.name.startsWith('.'))
+        .map(entry => entry.name)
+        .sort();
+
+      const snapshot = entries.map(entry => `${entry.name}:${entry.size}`).sort().join('|');
+      if (snapshot !== lastSnapshot) {
+        lastSnapshot = snapshot;
+        lastChange = now;
+      }
+
+      const waited = now - startTime;
+      if (pending.length === 0 && files.length > 0 && now - lastChange >= stableMs) {
+        return { completed: true, files, pending, waited_ms: waited };
+      }
+      if (now - lastChange >= idleTimeoutMs || waited >= maxWaitMs) {
+        return { completed: false, files, pending, waited_ms: waited };
+      }
+
+      // 진행 상황 출력 (받는 중인 파일 크기 포함)
+      const receivedBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+      await progress.note(`브라우저 다운로드 중: 완료 ${files.length}개, 진행 중 ${pending.length}개 (${receivedBytes} bytes, ${Math.round(waited / 1000)}초 경과)`);
+      if (Math.floor(waited / 5000) !== Math.floor((waited - intervalMs) / 5000)) {
+        logger.debug(`⏳ 다운로드 진행 중... (${Math.round(waited / 1000)}초 경과, 완료 ${files.length}개, 진행 중 ${pending.length}개)`);
+      }
+    }
+  }
+
+  // KOSHA 포털 다운로드 URL 획득 (개선된 버전)
+  async getKoshaDownloadUrl(page, downloadButton, fileName, content, pageUrl) {
+    try {
+      // 1. 브라우저를 통한 직접 다운로드 시도
+      try {
+        return await this.downloadFileViaBrowser(page, downloadButton, fileName, './downloads');
+      } catch (browserError) {
+        logger.warning(`브라우저 다운로드 실패, 대체 방법 시도: ${browserError.message}`);
+      }
+
+      // 2. 정적 방식: atcflNo 기반 URL 생성
+      const atcflNo = this.extractAtcflNo(content, pageUrl);
+      if (atcflNo) {
+        const fileIndex = 1;
+        const downloadUrl = this.generateKoshaDownloadUrl(atcflNo, fileIndex);
+        return downloadUrl;
+      }
+
+      // 3. 대체 방식: 기존 동적 크롤링
+      const baseUrl = 'https://portal.kosha.or.kr';
+      const possibleUrls = [
+        `${baseUrl}/api/portal24/bizV/p/VCPDG01007/downloadFile?fileName=${encodeURIComponent(fileName)}`,
+        `${baseUrl}/download/${encodeURIComponent(fileName)}`
+      ];
+
+      for (const testUrl of possibleUrls) {
+        try {
+          const response = await fetch(testUrl, { 
+            method: 'HEAD',
+            headers: {
+              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+          });
+          if (response.ok) {
+            return testUrl;
+          }
+        } catch (testError) {
+          // 계속 다음 URL 시도
+        }
+      }
+
+      throw new Error('다운로드 URL을 생성할 수 없습니다.');
+
+    } catch (error) {
+      throw new Error(`Failed to get download URL for ${fileName}: ${error.message}`);
+    }
+  }
+
+  // Selenium을 사용한 페이지 크롤링 및 다운로드
+  async executeSeleniumCrawl(args, { progress = new ProgressReporter(), signal = null } = {}) {
+    try {
+      const { pageUrl, downloadPath = './downloads', autoDownload = true, useHeadless = false, extractArchives = true } = args;
+      // 이 도구는 Selenium이 기본이고 engine 인자로 Puppeteer를 선택할 수 있음
+      const engine = this.resolveBrowserEngine(args.engine || 'selenium');
+      
+      if (!pageUrl) {
+        throw createInvalidArgumentsError("pageUrl은 필수 매개변수입니다.", 'pageUrl');
+      }
+
+      // URL 유효성 검사
+      let validUrl;
+      try {
+        validUrl = new URL(pageUrl);
+      } catch (error) {
+        throw createInvalidArgumentsError("유효하지 않은 URL입니다.", 'pageUrl');
+      }
+      if (!isKoshaHostname(validUrl.hostname)) {
+        throw createInvalidArgumentsError("KOSHA 포털 URL이 아닙니다.", 'pageUrl');
+      }
+
+      const startTime = Date.now();
+      const extractedLinks = [];
+      const downloadResults = [];
+      const medSeq = new URL(pageUrl).searchParams.get('medSeq');
+      let browserInfo = null;
+      let bulkDownloadResult = null;
+
+      logger.info(`🔍 ${engine}로 페이지 크롤링 시작`, { url: pageUrl, medSeq });
+
+      // 다운로드 경로 설정 (브라우저 실행 전에 준비)
+      const fullDownloadPath = path.resolve(downloadPath);
+      if (!fs.existsSync(fullDownloadPath)) {
+        fs.mkdirSync(fullDownloadPath, { recursive: true });
+      }
+
+      // 브라우저 실행 (Chrome/chromedriver 경로는 환경변수, 설정 파일, PATH 순으로 탐색)
+      await progress.step(`브라우저(${engine}) 실행 중`);
+      const browser = await this.launchBrowser(engine, {
+        headless: useHeadless,
+        downloadPath: fullDownloadPath,
+        signal
+      });
+      browserInfo = browser.info;
+
+      try {
+        // 페이지 로드
+        logger.debug('🌐 페이지 로드 중...', { url: pageUrl });
+        await browser.goto(pageUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        
+        // 페이지 로드 대기
+        await browser.waitForTitle('산업안전포털', 30000);
+        logger.debug('✅ 페이지 로드 완료');
+        await progress.step('페이지 로드 완료');
+
+        // 페이지 로딩 대기 (최적화)
+        logger.debug('⏳ 페이지 로딩 대기 중... (5초)');
+        await browser.sleep(5000);
+
+        // 페이지의 모든 버튼 찾기 (디버깅용)
+        logger.debug('🔍 페이지의 모든 버튼 검색 중...');
+        const allButtons = await browser.findElements('button');
+        logger.debug(`📊 총 ${allButtons.length}개의 버튼 발견`);
+        
+        // 각 버튼의 텍스트와 클래스 확인
+        for (let i = 0; i < Math.min(allButtons.length, 10); i++) {
+          try {
+            const buttonText = await browser.getText(allButtons[i]);
+            const buttonClass = await browser.getAttribute(allButtons[i], 'class');
+            logger.debug(`버튼 ${i+1}: "${buttonText}" (class: ${buttonClass})`);
+          } catch (err) {
+            logger.debug(`버튼 ${i+1}: 정보 읽기 실패`);
+          }
+        }
+
+        // 전체 다운로드 버튼 클릭 후 다운로드 폴더 비교로 실제 받은 파일 확인
+        if (autoDownload) {
+          try {
+            bulkDownloadResult = await this.downloadAllFilesViaBrowser(browser, fullDownloadPath, { medSeq, extractArchives, progress, signal });
+            for (const file of bulkDownloadResult.files) {
+              const link = {
+                url: pageUrl,
+                text: file.file_name,
+                fileName: file.file_name,
+                fileSize: `${file.file_size_mb} MB`,
+                selector: 'button.downAll',
+                type: this.getFileTypeFromFileName(file.file_name),
+                method: 'browser_download_all'
+              };
+              extractedLinks.push(link);
+              downloadResults.push({ ...link, download: { success: true, ...file } });
+            }
+          } catch (bulkError) {
+            throwIfCancelled(signal);
+            logger.error(`❌ ${bulkError.message}`, { medSeq });
+            bulkDownloadResult = { success: false, error: bulkError.message };
+          }
+        }
+
+      } finally {
+        await browser.close();
+        logger.debug('🔚 브라우저 종료');
+      }
+
+      const endTime = Date.now();
+      const duration = endTime - startTime;
+
+      // 전체 다운로드를 시도했다면 실제로 받은 파일이 있어야 성공
+      const bulkSucceeded = !bulkDownloadResult || bulkDownloadResult.success;
+      const result = {
+        success: bulkSucceeded,
+        message: bulkSucceeded
+          ? `${engine} 크롤링이 완료되었습니다.`
+          : `${engine} 크롤링 중 전체 다운로드에 실패했습니다: ${bulkDownloadResult.error}`,
+        ...(bulkSucceeded ? {} : { error_code: TOOL_ERROR_CODES.TOOL_FAILED }),
+        crawl_info: {
+          source_url: pageUrl,
+          duration_ms: duration,
+          links_found: extractedLinks.length,
+          auto_download_enabled: autoDownload,
+          method: engine,
+          browser: browserInfo,
+          bulk_download_completed: bulkDownloadResult ? Boolean(bulkDownloadResult.completed) : false,
+          bulk_download_files_count: bulkDownloadResult && bulkDownloadResult.success ? bulkDownloadResult.files_count : 0
+        },
+        extracted_links: extractedLinks,
+        download_results: downloadResults,
+        bulk_download_info: bulkDownloadResult,
+        extracted_archives: bulkDownloadResult && bulkDownloadResult.extracted_archives ? bulkDownloadResult.extracted_archives : []
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }
+        ],
+        ...(result.success ? {} : { isError: true })
+      };
+
+    } catch (error) {
+      const errorResult = {
+        success: false,
+        error: error.message,
+        error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error)
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(errorResult, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // 첨부파일 목록 조회 함수 (다운로드 없이 메타데이터만 반환)
+  async executeFileList(args, { signal = null } = {}) {
+    try {
+      const { medSeq, medSeqs } = args;
+      const fileTypes = this.normalizeFileTypes(args.fileTypes);
+      const cacheMode = this.normalizeCacheMode(args.cacheMode);
+
+      const targets = [];
+      if (medSeq !== undefined && medSeq !== null && medSeq !== '') {
+        targets.push(medSeq);
+      }
+      if (Array.isArray(medSeqs)) {
+        targets.push(...medSeqs);
+      }
+      const uniqueTargets = [...new Set(targets.map(value => String(value).trim()).filter(Boolean))];
+
+      if (uniqueTargets.length === 0) {
+        throw createInvalidArgumentsError("medSeq 또는 medSeqs 중 하나는 필수 매개변수입니다.", 'medSeq');
+      }
+
+      const startTime = Date.now();
+      const items = [];
+
+      for (const targetMedSeq of uniqueTargets) {
+        const apiResult = await this.getFileListFromAPI(targetMedSeq, { cacheMode, signal });
+
+        if (!apiResult.success || apiResult.result !== 'success') {
+          items.push({
+            medSeq: targetMedSeq,
+            success: false,
+            error: apiResult.error || apiResult.message || `API 응답 실패: result=${apiResult.result}`
+          });
+          continue;
+        }
+
+        const payload = Array.isArray(apiResult.payload) ? apiResult.payload : [];
+        const files = payload
+          .map((file, index) => this.normalizeAttachment(file, targetMedSeq, index))
+          .filter(file => this.matchesFileTypes(file.orgnlAtchFileNm, fileTypes));
+
+        items.push({
+          medSeq: targetMedSeq,
+          success: true,
+          cache: apiResult.cache,
+          files_count: files.length,
+          total_size_bytes: files.reduce((sum, file) => sum + (file.atcflSz || 0), 0),
+          files
+        });
+      }
+
+      const success = items.some(item => item.success);
+      const result = {
+        success,
+        ...(success ? {} : { error: '요청한 모든 자료의 첨부파일 목록 조회에 실패했습니다.', error_code: TOOL_ERROR_CODES.TOOL_FAILED }),
+        duration_ms: Date.now() - startTime,
+        file_types: fileTypes,
+        cache: this.summarizeCacheStatus(
+          cacheMode,
+          items.filter(item => item.cache && item.cache.status === 'hit').length,
+          items.length
+        ),
+        requested_count: uniqueTargets.length,
+        files_count: items.reduce((sum, item) => sum + (item.files_count || 0), 0),
+        items
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }
+        ],
+        ...(result.success ? {} : { isError: true })
+      };
+
+    } catch (error) {
+      const errorResult = {
+        success: false,
+        error: error.message,
+        error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error),
+        params: {
+          medSeq: args.medSeq,
+          medSeqs: args.medSeqs
+        }
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(errorResult, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // 로컬 색인 검색 함수
+  async executeLocalSearch(args) {
+    try {
+      const { query, source = 'all' } = args;
+
+      if (!query || !String(query).trim()) {
+        throw createInvalidArgumentsError("query는 필수 매개변수입니다.", 'query');
+      }
+      if (!['all', 'search', 'file'].includes(source)) {
+        throw createInvalidArgumentsError(`지원하지 않는 source 값입니다: ${source} (허용: all, search, file)`, 'source');
+      }
+
+      const categories = args.category !== undefined && args.category !== null && args.category !== ''
+        ? this.normalizeCategories(args.category).filter(code => code !== '0')
+        : [];
+      const limit = Math.min(Math.max(parseInt(args.limit, 10) || 20, 1), 100);
+
+      const startTime = Date.now();
+      const matches = this.localIndex.search(query, {
+        categories: categories.length > 0 ? categories : null,
+        source,
+        limit
+      });
+
+      const result = {
+        success: true,
+        duration_ms: Date.now() - startTime,
+        query,
+        filters: {
+          category: categories.length > 0 ? categories : null,
+          source,
+          limit
+        },
+        index_stats: this.localIndex.getStats(),
+        results_count: matches.length,
+        results: matches.map(({ document, score }) => ({
+          id: document.id,
+          source: document.source,
+          score: Number(score.toFixed(4)),
+          title: document.title,
+          category_code: document.category_code || null,
+          category_name: document.category_name || null,
+          snippet: this.buildMatchSnippet(document.text, query) || document.snippet || null,
+          document_id: document.document_id || null,
+          portal_url: document.portal_url || null,
+          file_path: document.file_path || null,
+          medSeq: document.medSeq || null,
+          atcflNo: document.atcflNo || null,
+          indexed_at: document.indexed_at
+        }))
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+
+    } catch (error) {
+      const errorResult = {
+        success: false,
+        error: error.message,
+        error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error),
+        params: {
+          query: args.query,
+          category: args.category,
+          source: args.source || 'all'
+        }
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(errorResult, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // 본문에서 검색어가 처음 등장하는 부분 주변을 발췌
+  buildMatchSnippet(text, query) {
+    if (!text) {
+      return null;
+    }
+    const lowerText = text.toLowerCase();
+    const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    const positions = [String(query).toLowerCase().trim(), ...terms]
+      .map(term => lowerText.indexOf(term))
+      .filter(position => position >= 0);
+    const position = positions.length > 0 ? positions[0] : 0;
+    const start = Math.max(position - 80, 0);
+    const end = Math.min(start + SEARCH_SNIPPET_LENGTH, text.length);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  // 첨부파일 텍스트 추출 함수
+  async executeExtractText(args, { signal = null } = {}) {
+    try {
+      const { filePath, atcflNo, medSeq, downloadPath = './downloads' } = args;
+      const maxChars = Math.max(1, parseInt(args.maxChars, 10) || DEFAULT_EXTRACT_MAX_CHARS);
+
+      if (!filePath && !atcflNo) {
+        throw createInvalidArgumentsError("filePath 또는 atcflNo 중 하나는 필수 매개변수입니다.", 'filePath');
+      }
+
+      const startTime = Date.now();
+      let targetPath;
+      let attachment = null;
+      let download = null;
+
+      if (filePath) {
+        targetPath = path.resolve(filePath);
+        if (!fs.existsSync(targetPath) || !fs.statSync(targetPath).isFile()) {
+          throw Object.assign(new Error(`파일을 찾을 수 없습니다: ${targetPath}`), { code: TOOL_ERROR_CODES.NOT_FOUND });
+        }
+      } else {
+        // medSeq가 있으면 첨부파일 목록에서 원본 파일명 확인
         if (medSeq) {
-          console.log(`🔍 medSeq: ${medSeq}로 API 호출 시도...`);
-          try {
-            const apiResult = await this.getFileListFromAPI(medSeq);
-            console.log('🔍 API 호출 결과:', JSON.stringify(apiResult, null, 2));
-            if (apiResult.success && apiResult.data) {
-              console.log('✅ API로 파일 목록 조회 성공!');
-              
-              // API 응답에서 파일 정보 추출 (이미지만)
-              const files = apiResult.data.files || apiResult.data.data || apiResult.data;
-              if (Array.isArray(files)) {
-                files.forEach((file, index) => {
-                  const fileName = file.fileName || file.fileNm || `file_${index + 1}`;
-                  
-                  // 이미지 파일만 필터링
-                  if (this.isImageFile(fileName)) {
-                    extractedLinks.push({
-                      url: file.downloadUrl || file.fileUrl || `https://portal.kosha.or.kr/api/portal24/bizV/p/VCPDG01007/downloadFile?atcflNo=${file.atcflNo || file.fileId},${index + 1}`,
-                      text: fileName,
-                      fileName: fileName,
-                      fileSize: file.fileSize || file.fileSz || 'Unknown',
-                      selector: 'API',
-                      type: 'image',
-                      method: 'kosha_api',
-                      fileInfo: file
-                    });
-                  }
-                });
-                
-                bulkDownloadResult = { 
-                  success: true, 
-                  method: 'kosha_api_success',
-                  message: `API로 ${files.length}개 파일 정보 조회 완료`,
-                  files_count: files.length
-                };
-              } else {
-                console.log('⚠️ API 응답에서 파일 배열을 찾을 수 없음:', apiResult.data);
-                bulkDownloadResult = { success: false, error: 'API 응답 형식 불일치' };
-              }
-            } else {
-              console.log('⚠️ API 호출 실패, 브라우저 방식으로 전환');
-              bulkDownloadResult = { success: false, error: apiResult.error };
+          const apiResult = await this.getFileListFromAPI(medSeq, { signal });
+          const payload = Array.isArray(apiResult.payload) ? apiResult.payload : [];
+          const match = payload.find(file => String(file.atcflNo) === String(atcflNo));
+          if (match) {
+            attachment = this.normalizeAttachment(match, medSeq, payload.indexOf(match));
+          }
+        }
+
+        // 저장 이름은 Content-Disposition 우선, 없으면 원본 파일명
+        const fileName = attachment ? attachment.orgnlAtchFileNm : null;
+        download = await this.downloadFile(this.buildAttachmentDownloadUrl(atcflNo), fileName, downloadPath, {
+          expectedSize: attachment ? attachment.atcflSz : null,
+          signal
+        });
+        targetPath = download.file_path;
+      }
+
+      const extraction = await this.extractDocumentText(targetPath);
+
+      // 경계 표시를 넣어 본문을 잇고 각 단위의 위치 기록
+      let fullText = '';
+      const units = extraction.units.map(unit => {
+        if (fullText) {
+          fullText += '\n\n';
+        }
+        const start = fullText.length;
+        fullText += `=== ${unit.label} ===\n${unit.text}`;
+        return {
+          kind: unit.kind,
+          index: unit.index,
+          label: unit.label,
+          chars: unit.text.length,
+          start,
+          end: fullText.length
+        };
+      });
+
+      const truncated = fullText.length > maxChars;
+      const fileName = path.basename(targetPath);
+
+      await this.indexDownloadedFile(targetPath, {
+        medSeq: medSeq || (attachment && attachment.medSeq),
+        atcflNo: atcflNo || null,
+        text: extraction.units.map(unit => unit.text).join('\n\n')
+      });
+
+      const result = {
+        success: true,
+        duration_ms: Date.now() - startTime,
+        file: {
+          file_name: fileName,
+          file_path: targetPath,
+          file_size_bytes: fs.statSync(targetPath).size,
+          file_type: this.getFileTypeFromFileName(fileName),
+          atcflNo: atcflNo || null,
+          medSeq: medSeq || null,
+          resource_uri: this.getFileResourceUri({ medSeq: medSeq || null, file_name: fileName, file_path: targetPath })
+        },
+        format: extraction.format,
+        units_count: units.length,
+        units: units.map(unit => ({ ...unit, truncated: unit.end > maxChars })),
+        total_chars: fullText.length,
+        returned_chars: Math.min(fullText.length, maxChars),
+        truncated,
+        warnings: extraction.warnings,
+        text: truncated ? fullText.slice(0, maxChars) : fullText
+      };
+
+      if (download) {
+        result.download = {
+          url: this.buildAttachmentDownloadUrl(atcflNo),
+          content_type: download.content_type,
+          download_duration_ms: download.download_duration_ms
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+
+    } catch (error) {
+      const errorResult = {
+        success: false,
+        error: error.message,
+        error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error),
+        params: {
+          filePath: args.filePath,
+          atcflNo: args.atcflNo,
+          medSeq: args.medSeq
+        }
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(errorResult, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // KOSHA GUIDE 지침 코드 조회 함수
+  async executeGuideLookup(args, { signal = null } = {}) {
+    try {
+      const guideCode = this.parseGuideCode(args.code);
+      const cacheMode = this.normalizeCacheMode(args.cacheMode);
+      const startTime = Date.now();
+      const warnings = [];
+
+      if (!guideCode.field_name) {
+        warnings.push(`알려지지 않은 분야 기호입니다: ${guideCode.field} (알려진 기호: ${Object.keys(KOSHA_GUIDE_FIELDS).join(', ')})`);
+      }
+
+      // 연도를 포함한 코드와 분야-번호 모두로 검색하여 다른 개정본도 확인
+      const searchValues = guideCode.year
+        ? [guideCode.normalized, `${guideCode.field}-${guideCode.number}`]
+        : [guideCode.normalized];
+      const searches = [];
+      const searchErrors = [];
+      const revisions = new Map();
+
+      for (const searchValue of searchValues) {
+        const collected = await this.collectSearchResults({
+          searchValue,
+          category: KOSHA_GUIDE_CATEGORY,
+          pageNo: '1',
+          numOfRows: '50',
+          maxResults: 100,
+          cacheMode,
+          signal
+        });
+        const searchError = this.getSearchPageError(collected.pages);
+        if (searchError) {
+          searchErrors.push(searchError);
+        }
+        searches.push({
+          search_value: searchValue,
+          success: !searchError,
+          total_count: collected.totalCount,
+          pages_fetched: collected.pagination.pages_fetched,
+          cache: this.summarizeCacheStatus(
+            cacheMode,
+            collected.pages.filter(page => page.cache && page.cache.status === 'hit').length,
+            collected.pages.length
+          )
+        });
+
+        for (const item of collected.items) {
+          for (const code of this.findGuideCodes(item)) {
+            if (code.field !== guideCode.field || code.number !== guideCode.number) continue;
+            const key = `${code.normalized}:${this.getSearchItemKey(item)}`;
+            if (!revisions.has(key)) {
+              revisions.set(key, { ...item, guide_code: code.normalized, guide_year: code.year });
             }
-          } catch (apiError) {
-            console.log(`⚠️ API 호출 중 오류: ${apiError.message}`);
-            bulkDownloadResult = { success: false, error: apiError.message };
           }
+        }
+      }
+
+      // 최신 개정본 우선 (연도, 수정일, 등록일 순)
+      const sortedRevisions = [...revisions.values()].sort((a, b) =>
+        (b.guide_year - a.guide_year) ||
+        String(b.modified_date || '').localeCompare(String(a.modified_date || '')) ||
+        String(b.registered_date || '').localeCompare(String(a.registered_date || ''))
+      );
+      const candidates = guideCode.year
+        ? sortedRevisions.filter(item => item.guide_year === guideCode.year)
+        : sortedRevisions;
+      const selected = candidates[0] || null;
+      const latest = sortedRevisions[0] || null;
+
+      // 검색이 실패해서 찾지 못한 경우는 "지침 없음"이 아니라 조회 오류로 응답
+      if (!selected && searchErrors.length > 0) {
+        throw searchErrors[0];
+      }
+      for (const searchError of searchErrors) {
+        warnings.push(searchError.message);
+      }
+
+      if (selected && latest && latest.guide_year > selected.guide_year) {
+        warnings.push(`더 최근 개정본이 있습니다: ${latest.guide_code}`);
+      }
+
+      const result = {
+        success: Boolean(selected),
+        duration_ms: Date.now() - startTime,
+        guide_code: guideCode,
+        found: Boolean(selected),
+        guide: selected ? { ...selected, is_latest: selected.guide_year === latest.guide_year } : null,
+        latest_revision_code: latest ? latest.guide_code : null,
+        revisions: this.summarizeGuideRevisions(sortedRevisions),
+        attachments: [],
+        searches,
+        warnings
+      };
+
+      if (!selected) {
+        result.error = `KOSHA GUIDE ${guideCode.normalized}을(를) 찾을 수 없습니다.`;
+        result.error_code = TOOL_ERROR_CODES.NOT_FOUND;
+      } else {
+        Object.assign(result, await this.getGuideAttachments(selected, cacheMode, signal));
+        result.warnings.push(...result.attachment_warnings);
+        delete result.attachment_warnings;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }
+        ],
+        ...(result.success ? {} : { isError: true })
+      };
+
+    } catch (error) {
+      const errorResult = {
+        success: false,
+        error: error.message,
+        error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error),
+        params: {
+          code: args.code
+        }
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(errorResult, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // 지침 코드 파싱과 검증 (분야 기호 1글자, 번호 1~999, 연도 4자리, 연도는 생략 가능)
+  parseGuideCode(code) {
+    if (code === undefined || code === null || !String(code).trim()) {
+      throw createInvalidArgumentsError("code는 필수 매개변수입니다.", 'code');
+    }
+
+    const input = String(code).trim();
+    const match = input
+      .replace(/^KOSHA\s*GUIDE\s*/i, '')
+      .match(/^([A-Za-z])\s*-?\s*(\d{1,3})(?:\s*[-\s]\s*(\d{4}))?$/);
+    if (!match) {
+      throw createInvalidArgumentsError(`지침 코드 형식이 올바르지 않습니다: ${input} (예: G-82-2020, M-185-2015, 연도 생략 시 G-82)`, 'code');
+    }
+
+    const field = match[1].toUpperCase();
+    const number = parseInt(match[2], 10);
+    const year = match[3] ? parseInt(match[3], 10) : null;
+    const maxYear = new Date().getFullYear() + 1;
+
+    if (number < 1) {
+      throw createInvalidArgumentsError(`지침 번호는 1 이상이어야 합니다: ${match[2]}`, 'code');
+    }
+    if (year !== null && (year < 1990 || year > maxYear)) {
+      throw createInvalidArgumentsError(`지침 연도는 1990~${maxYear} 범위여야 합니다: ${year}`, 'code');
+    }
+
+    return {
+      input,
+      normalized: year ? `${field}-${number}-${year}` : `${field}-${number}`,
+      field,
+      field_name: KOSHA_GUIDE_FIELDS[field] || null,
+      number,
+      year
+    };
+  }
+
+  // 검색 항목의 제목·키워드·발췌·파일 경로에서 지침 코드 추출
+  findGuideCodes(item) {
+    const text = [item.title, item.keyword, item.snippet, item.file_path].filter(Boolean).join(' ');
+    const codes = new Map();
+    for (const match of text.matchAll(KOSHA_GUIDE_CODE_PATTERN)) {
+      const field = match[1].toUpperCase();
+      const number = parseInt(match[2], 10);
+      const year = parseInt(match[3], 10);
+      const normalized = `${field}-${number}-${year}`;
+      codes.set(normalized, { normalized, field, number, year });
+    }
+    return [...codes.values()];
+  }
+
+  // 개정본 목록 요약 (같은 코드의 중복 항목은 하나로)
+  summarizeGuideRevisions(sortedRevisions) {
+    const seen = new Set();
+    return sortedRevisions
+      .filter(item => !seen.has(item.guide_code) && seen.add(item.guide_code))
+      .map(item => ({
+        guide_code: item.guide_code,
+        year: item.guide_year,
+        title: item.title,
+        document_id: item.document_id,
+        registered_date: item.registered_date,
+        modified_date: item.modified_date
+      }));
+  }
+
+  // 지침 첨부파일 (검색 항목의 파일 경로와 getFileList 조회 결과)
+  async getGuideAttachments(guide, cacheMode, signal = null) {
+    const attachments = [];
+    const warnings = [];
+
+    if (guide.file_path) {
+      const fileName = path.basename(String(guide.file_path).split('?')[0]);
+      attachments.push({
+        source: 'search',
+        orgnlAtchFileNm: fileName || null,
+        type: fileName ? this.getFileTypeFromFileName(fileName) : 'unknown',
+        downloadUrl: /^https?:\/\//i.test(String(guide.file_path)) ? guide.file_path : null,
+        file_path: guide.file_path
+      });
+    }
+
+    if (guide.document_id && /^\d+$/.test(guide.document_id)) {
+      const apiResult = await this.getFileListFromAPI(guide.document_id, { cacheMode, signal });
+      if (apiResult.success && apiResult.result === 'success') {
+        const payload = Array.isArray(apiResult.payload) ? apiResult.payload : [];
+        attachments.push(...payload.map((file, index) => ({
+          source: 'file_list',
+          ...this.normalizeAttachment(file, guide.document_id, index)
+        })));
+      } else {
+        warnings.push(`첨부파일 목록을 조회하지 못했습니다 (medSeq=${guide.document_id}): ${apiResult.error || apiResult.message || apiResult.result}`);
+      }
+    }
+
+    return { attachments, attachment_warnings: warnings };
+  }
+
+  // 법령 조문 조회 함수
+  async executeLawArticle(args, { signal = null } = {}) {
+    try {
+      const { lawName, includeNeighbors = false } = args;
+      const neighborCount = Math.min(Math.max(parseInt(args.neighborCount, 10) || 1, 1), 5);
+      const cacheMode = this.normalizeCacheMode(args.cacheMode);
+
+      if (!lawName || !String(lawName).trim()) {
+        throw createInvalidArgumentsError("lawName은 필수 매개변수입니다.", 'lawName');
+      }
+      const article = this.parseLawNumber(args.article, '조');
+      const paragraph = args.paragraph !== undefined && args.paragraph !== null && args.paragraph !== ''
+        ? parseInt(args.paragraph, 10)
+        : null;
+      if (paragraph !== null && !(paragraph >= 1 && paragraph <= LAW_PARAGRAPH_MARKS.length)) {
+        throw createInvalidArgumentsError(`paragraph는 1~${LAW_PARAGRAPH_MARKS.length} 범위의 정수여야 합니다: ${args.paragraph}`, 'paragraph');
+      }
+      const item = args.item !== undefined && args.item !== null && args.item !== ''
+        ? this.parseLawNumber(args.item, '호')
+        : null;
+
+      const category = args.category ? String(args.category) : this.inferLawCategory(lawName);
+      if (!KOSHA_LAW_CATEGORIES.includes(category)) {
+        throw createInvalidArgumentsError(`지원하지 않는 법령 category 값입니다: ${category} (허용: ${KOSHA_LAW_CATEGORIES.join(', ')})`, 'category');
+      }
+
+      const startTime = Date.now();
+      const searches = [];
+      const warnings = [];
+      const found = await this.findLawArticle(String(lawName).trim(), category, article, cacheMode, searches, signal);
+
+      if (!found) {
+        const result = {
+          success: false,
+          duration_ms: Date.now() - startTime,
+          error: `${lawName} ${article.label}을(를) 찾을 수 없습니다.`,
+          error_code: TOOL_ERROR_CODES.NOT_FOUND,
+          law: { name: lawName, category_code: category, category_name: KOSHA_SEARCH_CATEGORIES[category] },
+          searches
+        };
+        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }], isError: true };
+      }
+
+      const { source, articles, index } = found;
+      const target = articles[index];
+      const result = {
+        success: true,
+        duration_ms: Date.now() - startTime,
+        law: { name: lawName, category_code: category, category_name: KOSHA_SEARCH_CATEGORIES[category] },
+        article: {
+          label: target.label,
+          number: target.number,
+          branch: target.branch,
+          title: target.title,
+          hierarchy: target.hierarchy,
+          paragraphs_count: this.splitLawParagraphs(target.body).length,
+          text: target.text
+        },
+        reference: target.label,
+        text: target.text,
+        source,
+        searches,
+        warnings
+      };
+
+      // 항·호 단위로 좁히기
+      if (paragraph !== null) {
+        const paragraphs = this.splitLawParagraphs(target.body);
+        const selectedParagraph = paragraphs.find(entry => entry.number === paragraph);
+        if (!selectedParagraph) {
+          result.success = false;
+          result.error = `${target.label}에 제${paragraph}항이 없습니다 (항 수: ${paragraphs.length}).`;
+          result.error_code = TOOL_ERROR_CODES.NOT_FOUND;
         } else {
-          console.log('⚠️ URL에서 medSeq를 찾을 수 없음');
-          bulkDownloadResult = { success: false, error: 'medSeq 없음' };
+          result.paragraph = { number: paragraph, label: `제${paragraph}항`, mark: selectedParagraph.mark, text: selectedParagraph.text };
+          result.reference += `제${paragraph}항`;
+          result.text = selectedParagraph.text;
         }
+      }
 
-        // 4. 전체 다운로드가 실패한 경우만 개별 파일 정보 추출
-        if (!bulkDownloadResult || !bulkDownloadResult.success) {
-          for (let i = 0; i < fileInfos.length; i++) {
-            const fileInfo = fileInfos[i];
-            // 단순히 파일 정보만 추출 (실제 다운로드는 나중에 처리)
-            extractedLinks.push({
-              url: null, // URL은 나중에 생성
-              text: fileInfo.text,
-              fileName: fileInfo.fileName,
-              fileSize: fileInfo.fileSize,
-              selector: fileInfo.selector,
-              type: fileInfo.type,
-              method: 'file_info_extracted',
-              downloadButton: fileInfo.downloadButton
-            });
+      if (item && result.success) {
+        const scope = result.paragraph ? result.paragraph.text : target.body;
+        const selectedItem = this.splitLawItems(scope).find(entry => entry.number === item.number && entry.branch === item.branch);
+        if (!selectedItem) {
+          result.success = false;
+          result.error = `${result.reference}에 ${item.label}가 없습니다.`;
+          result.error_code = TOOL_ERROR_CODES.NOT_FOUND;
+        } else {
+          result.item = { number: item.number, branch: item.branch, label: item.label, text: selectedItem.text };
+          result.reference += item.label;
+          result.text = selectedItem.text;
+        }
+      }
+
+      if (includeNeighbors) {
+        result.neighbors = await this.getNeighborLawArticles(String(lawName).trim(), category, found, neighborCount, cacheMode, searches, warnings, signal);
+        if (result.neighbors.previous.length + result.neighbors.next.length === 0) {
+          warnings.push('앞뒤 조문을 찾지 못했습니다.');
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }
+        ],
+        ...(result.success ? {} : { isError: true })
+      };
+
+    } catch (error) {
+      const errorResult = {
+        success: false,
+        error: error.message,
+        error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error),
+        params: {
+          lawName: args.lawName,
+          article: args.article,
+          paragraph: args.paragraph,
+          item: args.item
+        }
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(errorResult, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // 조·호 번호 파싱 (42, "제42조", "42의2", "제3호의2" 형식 허용)
+  parseLawNumber(value, unit) {
+    if (value === undefined || value === null || !String(value).trim()) {
+      throw createInvalidArgumentsError(`${unit === '조' ? 'article' : 'item'}은(는) 필수 매개변수입니다.`, unit === '조' ? 'article' : 'item');
+    }
+    const match = String(value).replace(/\s+/g, '').match(new RegExp(`^제?(\\d+)(?:${unit})?(?:의(\\d+))?$`));
+    if (!match || parseInt(match[1], 10) < 1) {
+      throw createInvalidArgumentsError(`${unit} 번호 형식이 올바르지 않습니다: ${value} (예: 42, 제42${unit}, 42의2)`, unit === '조' ? 'article' : 'item');
+    }
+    const number = parseInt(match[1], 10);
+    const branch = match[2] ? parseInt(match[2], 10) : null;
+    return { number, branch, label: `제${number}${unit}${branch ? `의${branch}` : ''}` };
+  }
+
+  // 법령명으로 스마트검색 카테고리 추정
+  inferLawCategory(lawName) {
+    const compact = String(lawName).replace(/\s+/g, '');
+    const matched = KOSHA_LAW_NAME_CATEGORIES.find(([pattern]) => pattern.test(compact));
+    if (!matched) {
+      throw createInvalidArgumentsError(`법령명으로 카테고리를 추정할 수 없습니다: ${lawName} (category를 지정하세요: ${KOSHA_LAW_CATEGORIES.map(code => `${code}=${KOSHA_SEARCH_CATEGORIES[code]}`).join(', ')})`, 'category');
+    }
+    return matched[1];
+  }
+
+  // 스마트검색 결과 본문에서 조문을 찾아 해당 문서의 조문 목록과 위치 반환
+  async findLawArticle(lawName, category, article, cacheMode, searches, signal = null) {
+    const searchValue = `${lawName} ${article.label}`;
+    const collected = await this.collectSearchResults({
+      searchValue,
+      category,
+      pageNo: '1',
+      numOfRows: '50',
+      maxResults: 50,
+      cacheMode,
+      signal
+    });
+    const searchError = this.getSearchPageError(collected.pages);
+    searches.push({
+      search_value: searchValue,
+      category,
+      success: !searchError,
+      total_count: collected.totalCount,
+      pages_fetched: collected.pagination.pages_fetched,
+      cache: this.summarizeCacheStatus(
+        cacheMode,
+        collected.pages.filter(page => page.cache && page.cache.status === 'hit').length,
+        collected.pages.length
+      )
+    });
+
+    // 제목에 법령명이 들어 있는 문서를 우선 검사
+    const compactLawName = lawName.replace(/\s+/g, '');
+    const candidates = [];
+    for (const page of collected.pages) {
+      const rawItems = page.body ? this.extractSearchItems(page.body) : [];
+      rawItems.forEach((rawItem, index) => candidates.push({ rawItem, item: page.items[index] }));
+    }
+    candidates.sort((a, b) =>
+      Number(String(b.item.title || '').replace(/\s+/g, '').includes(compactLawName)) -
+      Number(String(a.item.title || '').replace(/\s+/g, '').includes(compactLawName))
+    );
+
+    for (const { rawItem, item } of candidates) {
+      const content = this.stripTags(this.pickSearchItemField(rawItem, 'content', 'contents', 'body', 'highlight_content')) || '';
+      let articles = this.parseLawArticles(content);
+      if (articles.length === 0 && item.title) {
+        articles = this.parseLawArticles(`${item.title} ${content}`);
+      }
+      const index = articles.findIndex(entry => entry.number === article.number && entry.branch === article.branch);
+      if (index !== -1) {
+        return {
+          source: {
+            title: item.title,
+            document_id: item.document_id,
+            category_code: item.category_code,
+            portal_url: item.portal_url
+          },
+          articles,
+          index
+        };
+      }
+    }
+    // 검색이 실패해서 찾지 못한 경우는 "조문 없음"과 구분하여 조회 오류로 처리
+    if (searchError) {
+      throw searchError;
+    }
+    return null;
+  }
+
+  // 본문을 조문 단위로 분리 ("제42조(추락의 방지)" 형식의 조문 제목 기준)
+  parseLawArticles(text) {
+    const headingPattern = /제(\d+)조(?:의(\d+))?\s*\(([^)]{1,60})\)/g;
+    const headings = [...text.matchAll(headingPattern)];
+    return headings.map((match, index) => {
+      const end = index + 1 < headings.length ? headings[index + 1].index : text.length;
+      const articleText = text.slice(match.index, end).trim();
+      const number = parseInt(match[1], 10);
+      const branch = match[2] ? parseInt(match[2], 10) : null;
+      return {
+        label: `제${number}조${branch ? `의${branch}` : ''}`,
+        number,
+        branch,
+        title: match[3].trim(),
+        hierarchy: this.parseLawHierarchy(text.slice(0, match.index)),
+        text: this.stripLawHierarchyHeadings(articleText),
+        body: this.stripLawHierarchyHeadings(articleText.slice(match[0].length)).trim()
+      };
+    });
+  }
+
+  // 조문 앞에 나온 마지막 편·장·절·관 제목으로 위치 구성
+  parseLawHierarchy(precedingText) {
+    const levels = ['편', '장', '절', '관'];
+    const headingPattern = /제(\d+)(편|장|절|관)(?:의(\d+))?\s+([^.]{1,40}?)(?=\s*(?:제\d+(?:편|장|절|관|조)|$))/g;
+    const hierarchy = [];
+    for (const match of precedingText.matchAll(headingPattern)) {
+      const level = match[2];
+      const depth = levels.indexOf(level);
+      // 상위 단위가 새로 나오면 하위 단위 초기화
+      hierarchy.splice(depth);
+      hierarchy[depth] = {
+        level,
+        label: `제${match[1]}${level}${match[3] ? `의${match[3]}` : ''}`,
+        title: match[4].trim()
+      };
+    }
+    return hierarchy.filter(Boolean);
+  }
+
+  // 조문 끝에 붙은 다음 편·장·절·관 제목 제거
+  stripLawHierarchyHeadings(text) {
+    return text.replace(/(?:\s*제\d+(?:편|장|절|관)(?:의\d+)?\s+[^.]{1,40}?)+$/, '').trim();
+  }
+
+  // 조문 본문을 항(①, ② …) 단위로 분리 (항 표시가 없으면 전체를 제1항으로 취급)
+  splitLawParagraphs(body) {
+    const positions = [];
+    for (let i = 0; i < body.length; i++) {
+      const markIndex = LAW_PARAGRAPH_MARKS.indexOf(body[i]);
+      if (markIndex !== -1) {
+        positions.push({ index: i, number: markIndex + 1, mark: body[i] });
+      }
+    }
+    if (positions.length === 0) {
+      return body ? [{ number: 1, mark: null, text: body.trim() }] : [];
+    }
+    // 본문 중 "제2항" 같은 참조가 아닌, 순서대로 증가하는 표시만 항 경계로 사용
+    const boundaries = [];
+    for (const position of positions) {
+      if (position.number === boundaries.length + 1) {
+        boundaries.push(position);
+      }
+    }
+    return boundaries.map((position, index) => ({
+      number: position.number,
+      mark: position.mark,
+      text: body.slice(position.index, index + 1 < boundaries.length ? boundaries[index + 1].index : body.length).trim()
+    }));
+  }
+
+  // 항 본문을 호(1., 2., 3의2. …) 단위로 분리
+  splitLawItems(text) {
+    const matches = [...text.matchAll(/(?:^|\s)(\d+)(?:의(\d+))?\.\s/g)];
+    return matches.map((match, index) => {
+      const start = match.index + (match[0].length - match[0].trimStart().length);
+      const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+      return {
+        number: parseInt(match[1], 10),
+        branch: match[2] ? parseInt(match[2], 10) : null,
+        text: text.slice(start, end).trim()
+      };
+    });
+  }
+
+  // 앞뒤 조문 (같은 문서에 없으면 조 번호로 다시 검색, 검색이 실패하면 그 방향은 멈추고 경고로 남김)
+  async getNeighborLawArticles(lawName, category, found, neighborCount, cacheMode, searches, warnings, signal = null) {
+    const { articles, index } = found;
+    const summarize = entry => ({ label: entry.label, title: entry.title, text: entry.text });
+    const previous = articles.slice(Math.max(index - neighborCount, 0), index).map(summarize);
+    const next = articles.slice(index + 1, index + 1 + neighborCount).map(summarize);
+
+    const target = articles[index];
+    const findNeighbor = async (number) => {
+      try {
+        return await this.findLawArticle(lawName, category, this.parseLawNumber(number, '조'), cacheMode, searches, signal);
+      } catch (error) {
+        if (error.cancelled) throw error;
+        warnings.push(`제${number}조 검색에 실패했습니다: ${error.message}`);
+        return null;
+      }
+    };
+    for (let offset = previous.length + 1; offset <= neighborCount && target.number - offset >= 1; offset++) {
+      const neighbor = await findNeighbor(target.number - offset);
+      if (!neighbor) break;
+      previous.unshift(summarize(neighbor.articles[neighbor.index]));
+    }
+    for (let offset = next.length + 1; offset <= neighborCount; offset++) {
+      const neighbor = await findNeighbor(target.number + offset);
+      if (!neighbor) break;
+      next.push(summarize(neighbor.articles[neighbor.index]));
+    }
+
+    return { previous, next };
+  }
+
+  // 여러 자료 일괄 동기화 함수
+  async executeArchiveSync(args, { progress = new ProgressReporter(), signal = null } = {}) {
+    try {
+      const { downloadPath = './downloads', perItemFolder = true, resume = true, force = false } = args;
+      const fileTypes = this.normalizeFileTypes(args.fileTypes);
+      const cacheMode = this.normalizeCacheMode(args.cacheMode);
+      const delayMs = Math.min(Math.max(parseInt(args.delayMs ?? DEFAULT_ARCHIVE_SYNC_DELAY_MS, 10) || 0, 0), 60000);
+      const maxItems = Math.max(parseInt(args.maxItems, 10) || DEFAULT_ARCHIVE_SYNC_MAX_ITEMS, 1);
+      const startTime = Date.now();
+
+      const targets = await this.resolveArchiveSyncTargets({ ...args, signal });
+      const state = new ArchiveSyncState({ dir: path.resolve(downloadPath) });
+
+      // 이전 실행에서 끝난 자료는 건너뛰고 나머지를 대기열로
+      const alreadyCompleted = resume && !force ? targets.medSeqs.filter(medSeq => state.isCompleted(medSeq)) : [];
+      const completedSet = new Set(alreadyCompleted);
+      const queue = targets.medSeqs.filter(medSeq => !completedSet.has(medSeq));
+      const batch = queue.slice(0, maxItems);
+
+      state.lastRun = {
+        started_at: new Date(startTime).toISOString(),
+        sources: targets.sources,
+        total_targets: targets.medSeqs.length,
+        batch_size: batch.length
+      };
+
+      // 자료 하나마다 진행 알림 한 단계
+      progress.setRemaining(batch.length);
+      const items = [];
+      try {
+        for (let i = 0; i < batch.length; i++) {
+          if (i > 0 && delayMs > 0) {
+            await sleepUnlessCancelled(delayMs, signal);
+          }
+          const item = await this.syncArchiveItem(batch[i], {
+            rootPath: downloadPath,
+            itemPath: perItemFolder ? path.join(downloadPath, String(batch[i])) : downloadPath,
+            fileTypes,
+            force,
+            cacheMode,
+            progress: progress.child(),
+            signal
+          });
+          await progress.step(`자료 ${i + 1}/${batch.length} 처리 완료: medSeq=${item.medSeq} (${item.status}, 다운로드 ${item.downloaded || 0}개)`);
+          items.push(item);
+          state.set(item.medSeq, item);
+          state.save();
+        }
+      } catch (error) {
+        // 취소되면 끝난 자료까지만 상태에 남김 (처리 중이던 자료는 다음 실행에서 다시 처리)
+        if (error.cancelled) {
+          state.lastRun.cancelled_at = new Date().toISOString();
+          state.save();
+        }
+        throw error;
+      }
+
+      const countByStatus = (status) => items.filter(item => item.status === status).length;
+      const sum = (field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+      const remaining = queue.length - batch.length;
+
+      state.lastRun.finished_at = new Date().toISOString();
+      state.save();
+
+      const failedCount = countByStatus('failed');
+      const result = {
+        success: failedCount === 0,
+        ...(failedCount === 0 ? {} : { error: `자료 ${failedCount}개의 동기화에 실패했습니다.`, error_code: TOOL_ERROR_CODES.TOOL_FAILED }),
+        duration_ms: Date.now() - startTime,
+        download_path: path.resolve(downloadPath),
+        state_path: state.filePath,
+        sources: targets.sources,
+        summary: {
+          total_targets: targets.medSeqs.length,
+          skipped_completed: alreadyCompleted.length,
+          processed: items.length,
+          remaining,
+          done: countByStatus('done'),
+          no_files: countByStatus('no_files'),
+          partial: countByStatus('partial'),
+          failed: failedCount,
+          files_new: sum('new_count'),
+          files_changed: sum('changed_count'),
+          files_removed: sum('removed_count'),
+          files_downloaded: sum('downloaded'),
+          files_skipped: sum('skipped'),
+          files_failed: sum('failed'),
+          bytes_downloaded: sum('bytes_downloaded')
+        },
+        message: remaining > 0
+          ? `남은 자료 ${remaining}개는 같은 인자로 다시 호출하면 이어서 처리합니다.`
+          : '모든 대상 자료를 처리했습니다.',
+        items
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2)
           }
+        ],
+        ...(result.success ? {} : { isError: true })
+      };
+
+    } catch (error) {
+      const errorResult = {
+        success: false,
+        error: error.message,
+        error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error),
+        params: {
+          medSeqs: args.medSeqs,
+          medSeqRange: args.medSeqRange,
+          masterListUrl: args.masterListUrl,
+          downloadPath: args.downloadPath || './downloads'
         }
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(errorResult, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // 동기화 대상 medSeq 목록 구성 (목록, 범위, 목록 페이지 URL을 합치고 중복 제거)
+  async resolveArchiveSyncTargets({ medSeqs, medSeqRange, masterListUrl, engine, signal = null }) {
+    const targets = [];
+    const sources = {};
+
+    if (Array.isArray(medSeqs) && medSeqs.length > 0) {
+      const invalid = medSeqs.filter(value => !/^\d+$/.test(String(value).trim()));
+      if (invalid.length > 0) {
+        throw createInvalidArgumentsError(`medSeqs에 숫자가 아닌 값이 있습니다: ${invalid.join(', ')}`, 'medSeqs');
+      }
+      targets.push(...medSeqs.map(value => String(value).trim()));
+      sources.medSeqs = medSeqs.length;
+    }
+
+    if (medSeqRange) {
+      const start = parseInt(medSeqRange.start, 10);
+      const end = parseInt(medSeqRange.end, 10);
+      if (!(start >= 1) || !(end >= start)) {
+        throw createInvalidArgumentsError(`medSeqRange는 1 이상의 start와 start 이상의 end가 필요합니다: ${JSON.stringify(medSeqRange)}`, 'medSeqRange');
+      }
+      if (end - start + 1 > MAX_ARCHIVE_SYNC_RANGE) {
+        throw createInvalidArgumentsError(`medSeqRange는 최대 ${MAX_ARCHIVE_SYNC_RANGE}개까지 지정할 수 있습니다: ${end - start + 1}개`, 'medSeqRange');
+      }
+      for (let medSeq = start; medSeq <= end; medSeq++) {
+        targets.push(String(medSeq));
+      }
+      sources.medSeqRange = { start, end };
+    }
+
+    if (masterListUrl) {
+      const listed = await this.collectMedSeqsFromListPage(masterListUrl, { engine, signal });
+      targets.push(...listed.medSeqs);
+      sources.masterListUrl = { url: masterListUrl, method: listed.method, found: listed.medSeqs.length };
+    }
+
+    if (Object.keys(sources).length === 0) {
+      throw createInvalidArgumentsError("medSeqs, medSeqRange, masterListUrl 중 하나 이상은 필수 매개변수입니다.", 'medSeqs');
+    }
+
+    return { medSeqs: [...new Set(targets)], sources };
+  }
+
+  // 자료 목록 페이지에 연결된 medSeq 수집 (정적 HTML에 없으면 브라우저로 렌더링)
+  async collectMedSeqsFromListPage(listUrl, { engine, signal = null } = {}) {
+    let validUrl;
+    try {
+      validUrl = new URL(listUrl);
+    } catch (error) {
+      throw createInvalidArgumentsError(`유효하지 않은 masterListUrl입니다: ${listUrl}`, 'masterListUrl');
+    }
+    // 서버가 임의의 주소(내부망, 클라우드 메타데이터 등)를 요청하지 않도록 KOSHA 포털만 허용
+    if (validUrl.protocol !== 'https:' || !isKoshaHostname(validUrl.hostname)) {
+      throw createInvalidArgumentsError(`masterListUrl은 https://로 시작하는 KOSHA 포털(kosha.or.kr) 주소여야 합니다: ${listUrl}`, 'masterListUrl');
+    }
+
+    const extract = (html) => [...new Set([...html.matchAll(/medSeq(?:=|["']?\s*:\s*["']?)(\d+)/g)].map(match => match[1]))]
+      .filter(medSeq => medSeq !== validUrl.searchParams.get('medSeq'));
+
+    let html;
+    try {
+      const response = await fetch(validUrl, {
+        headers: {
+          'User-Agent': DOWNLOAD_REQUEST_HEADERS['User-Agent'],
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8'
+        },
+        signal: createRequestSignal(signal, 30000)
+      });
+      if (!response.ok) {
+        throw new Error(`목록 페이지를 불러오지 못했습니다: HTTP ${response.status}`);
+      }
+      html = await response.text();
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw error;
+    }
+    const medSeqs = extract(html);
+    if (medSeqs.length > 0) {
+      return { medSeqs, method: 'fetch' };
+    }
 
-        // 중복 제거
-        const uniqueLinks = extractedLinks.filter((link, index, self) => 
-          index === self.findIndex(l => l.url === link.url)
-        );
-
-        // 자동 다운로드 실행 (전체 다운로드가 이미 완료된 경우 제외)
-        if (autoDownload && uniqueLinks.length > 0) {
-          for (const link of uniqueLinks) {
-            try {
-              // 이미 전체 다운로드로 완료된 파일은 건너뛰기
-              if (link.method === 'browser_download_all' && link.downloadResult) {
-                downloadResults.push({
-                  ...link,
-                  download: {
-                    ...link.downloadResult,
-                    success: true,
-                    message: '전체 다운로드를 통해 이미 완료됨'
-                  }
-                });
-                continue;
-              }
+    // 목록이 스크립트로 그려지는 페이지는 브라우저로 렌더링
+    const browser = await this.launchBrowser(engine, { headless: true, signal });
+    try {
+      await browser.goto(validUrl.href, { waitUntil: 'networkidle2', timeout: 30000 });
+      return { medSeqs: extract(await browser.content()), method: `browser:${browser.engine}` };
+    } finally {
+      await browser.close();
+    }
+  }
 
-              // URL이 없거나 실패한 경우 건너뛰기
-              if (!link.url || link.url === 'bulk_download_success') {
-                downloadResults.push({
-                  ...link,
-                  download: {
-                    success: false,
-                    error: 'URL을 사용할 수 없음 또는 이미 처리됨'
-                  }
-                });
-                continue;
-              }
+  // 자료 하나 동기화 (파일 목록 API → 매니페스트 비교 → 변경분 다운로드)
+  // 요청이 취소되면 실패로 기록하지 않고 취소 오류를 그대로 던짐
+  async syncArchiveItem(medSeq, { rootPath, itemPath, fileTypes, force, cacheMode, progress = new ProgressReporter(), signal = null }) {
+    const startTime = Date.now();
+    try {
+      const apiResult = await this.getFileListFromAPI(medSeq, { cacheMode, signal });
+      if (!apiResult.success || apiResult.result !== 'success') {
+        return {
+          medSeq,
+          status: 'failed',
+          error: apiResult.error || apiResult.message || `API 응답 실패: result=${apiResult.result}`,
+          duration_ms: Date.now() - startTime
+        };
+      }
 
-              // 개별 파일 다운로드 (전체 다운로드가 실패한 경우)
-              if (link.method === 'file_info_extracted' && link.downloadButton) {
-                // 개별 버튼 클릭 시도
-                try {
-                  await link.downloadButton.click();
-                  downloadResults.push({
-                    ...link,
-                    download: {
-                      success: true,
-                      message: '개별 다운로드 버튼 클릭 완료 (파일 확인 필요)'
-                    }
-                  });
-                } catch (clickError) {
-                  downloadResults.push({
-                    ...link,
-                    download: {
-                      success: false,
-                      error: `개별 다운로드 버튼 클릭 실패: ${clickError.message}`
-                    }
-                  });
-                }
-                continue;
-              }
+      const files = Array.isArray(apiResult.payload) ? apiResult.payload : [];
+      const links = files
+        .map((file, index) => this.buildApiAttachmentLink(file, index))
+        .filter(link => this.matchesFileTypes(link.fileName, fileTypes));
 
-              // 기존 URL 기반 다운로드
-              const fileName = this.extractFileNameFromUrl(link.url) || 
-                              link.fileName ||
-                              `KOSHA_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.bin`;
-              
-              const downloadResult = await this.downloadFile(link.url, fileName, downloadPath);
-              downloadResults.push({
-                ...link,
-                download: downloadResult
-              });
-              
-              // 다운로드 간 지연 (서버 부하 방지)
-              await new Promise(resolve => setTimeout(resolve, 1000));
-              
-            } catch (error) {
-              downloadResults.push({
-                ...link,
-                download: {
-                  success: false,
-                  error: error.message
-                }
-              });
-            }
-          }
-        }
+      // 매니페스트는 미러 최상위 폴더에 하나만 유지
+      const syncPlan = this.planManifestSync(medSeq, rootPath, files, { force, fileTypes });
+      const downloadResults = links.length > 0
+        ? await this.downloadExtractedLinks(links, itemPath, {
+          medSeq,
+          pageUrl: `${KOSHA_MEDIA_DETAIL_URL}?medSeq=${medSeq}`,
+          syncPlan,
+          progress,
+          signal
+        })
+        : [];
+      this.finishManifestSync(syncPlan, downloadResults);
+      throwIfCancelled(signal);
 
-        } finally {
-          await browser.close();
-        }
-      } // API 실패 시 Puppeteer 크롤링 끝
+      const { report } = syncPlan;
+      const errors = downloadResults
+        .filter(result => !result.download.success)
+        .map(result => ({ fileName: result.fileName, atcflNo: result.atcflNo, error: result.download.error }));
 
-      const endTime = Date.now();
-      const duration = endTime - startTime;
+      let status = 'done';
+      if (files.length === 0) {
+        status = 'no_files';
+      } else if (report.failed > 0) {
+        status = 'partial';
+      }
 
-      const result = {
-        success: true,
-        message: "페이지 크롤링이 완료되었습니다.",
-        crawl_info: {
-          source_url: pageUrl,
-          duration_ms: duration,
-          links_found: extractedLinks.length,
-          unique_links: extractedLinks.filter((link, index, self) => 
-            index === self.findIndex(l => l.url === link.url)
-          ).length,
-          auto_download_enabled: autoDownload,
-          downloads_attempted: downloadResults.length,
-          bulk_download_attempted: bulkDownloadResult !== null,
-          bulk_download_success: bulkDownloadResult && bulkDownloadResult.success,
-          bulk_download_files_count: bulkDownloadResult && bulkDownloadResult.success ? bulkDownloadResult.files_count : 0
-        },
-        extracted_links: extractedLinks.filter((link, index, self) => 
-          index === self.findIndex(l => l.url === link.url)
-        ),
-        download_results: downloadResults,
-        bulk_download_info: bulkDownloadResult
+      return {
+        medSeq,
+        status,
+        duration_ms: Date.now() - startTime,
+        cache: apiResult.cache,
+        files_count: files.length,
+        matched_count: links.length,
+        new_count: report.new.length,
+        changed_count: report.changed.length,
+        removed_count: report.removed.length,
+        downloaded: report.downloaded,
+        skipped: report.skipped,
+        failed: report.failed,
+        bytes_downloaded: downloadResults
+          .filter(result => result.download.success && !result.download.skipped)
+          .reduce((total, result) => total + (result.download.file_size_bytes || 0), 0),
+        ...(errors.length > 0 ? { errors } : {})
       };
+    } catch (error) {
+      throwIfCancelled(signal);
+      return {
+        medSeq,
+        status: 'failed',
+        error: error.message,
+        duration_ms: Date.now() - startTime
+      };
+    }
+  }
+
+  // API 테스트 실행 함수
+  async executeApiTest(args) {
+    try {
+      const { medSeq } = args;
+      
+      if (!medSeq) {
+        throw new Error("medSeq는 필수 매개변수입니다.");
+      }
 
+      logger.info('🔍 API 테스트 시작', { medSeq });
+      const result = await this.getFileListFromAPI(medSeq);
+      
       return {
         content: [
           {
@@ -673,12 +6074,8 @@ export class KoshaApiMCPServer {
         success: false,
         error: error.message,
         error_type: error.name || 'Error',
-        crawl_params: {
-          pageUrl: args.pageUrl,
-          downloadPath: args.downloadPath || "./downloads",
-          useHeadless: args.useHeadless !== false,
-          autoDownload: args.autoDownload !== false
-        }
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error)
       };
 
       return {
@@ -687,835 +6084,1061 @@ export class KoshaApiMCPServer {
             type: "text",
             text: JSON.stringify(errorResult, null, 2)
           }
-        ]
+        ],
+        isError: true
       };
     }
   }
 
-  // 파일 타입 추출 헬퍼 함수
-  getFileTypeFromUrl(url) {
-    const extension = url.split('.').pop().toLowerCase().split('?')[0];
-    return this.getFileTypeFromExtension(extension);
-  }
-
-  // 파일명에서 파일 타입 추출
-  getFileTypeFromFileName(fileName) {
-    const extension = fileName.split('.').pop().toLowerCase();
-    return this.getFileTypeFromExtension(extension);
-  }
-
-  // 확장자에서 파일 타입 매핑
-  getFileTypeFromExtension(extension) {
-    const typeMap = {
-      'mp4': 'video',
-      'avi': 'video',
-      'mov': 'video',
-      'wmv': 'video',
-      'pdf': 'document',
-      'doc': 'document',
-      'docx': 'document',
-      'ppt': 'document',
-      'pptx': 'document',
-      'hwp': 'document',
-      'jpg': 'image',
-      'jpeg': 'image',
-      'png': 'image',
-      'gif': 'image',
-      'bmp': 'image',
-      'svg': 'image',
-      'webp': 'image',
-      'tiff': 'image',
-      'tif': 'image',
-      'ico': 'image',
-      'mp3': 'audio',
-      'wav': 'audio'
+  // 로그용 파일 목록 조회 결과 요약 (첨부파일 목록 전체는 남기지 않음)
+  summarizeFileListResult(medSeq, apiResult) {
+    return {
+      medSeq,
+      success: apiResult.success,
+      result: apiResult.result,
+      api_message: apiResult.message,
+      files_count: Array.isArray(apiResult.payload) ? apiResult.payload.length : 0,
+      cache: apiResult.cache ? apiResult.cache.status : undefined,
+      error: apiResult.error
     };
-    return typeMap[extension] || 'unknown';
   }
 
-  // 이미지 파일인지 확인하는 헬퍼 함수
-  isImageFile(fileName) {
-    if (!fileName) return false;
-    const extension = fileName.split('.').pop().toLowerCase();
-    const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg', 'webp', 'tiff', 'tif', 'ico'];
-    return imageExtensions.includes(extension);
-  }
+  // KOSHA API를 통한 파일 목록 조회 (성공 응답은 캐시에 저장)
+  async getFileListFromAPI(medSeq, { cacheMode = 'default', signal = null } = {}) {
+    try {
+      const { value: data, cache } = await this.withCache(
+        'getFileList',
+        { medSeq: String(medSeq) },
+        cacheMode,
+        () => this.requestFileList(medSeq, { signal }),
+        (value) => value && value.result === 'success'
+      );
 
-  // KOSHA 포털 다운로드 URL 생성 (정적 방식)
-  generateKoshaDownloadUrl(atcflNo, fileIndex = 1) {
-    const baseUrl = 'https://portal.kosha.or.kr';
-    return `${baseUrl}/api/portal24/bizV/p/VCPDG01007/downloadFile?atcflNo=${atcflNo},${fileIndex}`;
+      return {
+        success: true,
+        data: data,
+        result: data.result,
+        message: data.message,
+        payload: data.payload,
+        cache
+      };
+
+    } catch (error) {
+      // 취소는 실패 결과로 바꾸지 않고 호출한 도구까지 전달
+      throwIfCancelled(signal);
+      logger.error(`❌ KOSHA API 호출 실패: ${error.message}`, { medSeq });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
   }
 
-  // atcflNo 추출 (HTML에서 썸네일 URL 패턴 기반)
-  extractAtcflNo(content, pageUrl) {
-    // URL에서 medSeq 추출
-    const urlParams = new URLSearchParams(pageUrl.split('?')[1] || '');
-    const medSeq = urlParams.get('medSeq');
+  // 파일 목록 API 호출
+  async requestFileList(medSeq, { signal = null } = {}) {
+    const apiUrl = 'https://portal.kosha.or.kr/api/portal24/bizA/p/files/getFileList';
     
-    if (!medSeq) {
-      return null;
+    throwIfCancelled(signal);
+    let response;
+    try {
+      response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json, text/plain, */*',
+          'Accept-Encoding': 'gzip, deflate, br, zstd',
+          'Accept-Language': 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7',
+          'Content-Type': 'application/json',
+          'Origin': 'https://portal.kosha.or.kr',
+          'Referer': `https://portal.kosha.or.kr/archive/cent-archive/master-arch/master-list1/master-detail1?medSeq=${medSeq}`,
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
+          'chnlid': 'portal24',
+          'Cookie': 'WHATAP=z2j0a1thils8tb', // 세션 쿠키 추가
+          'sec-ch-ua': '"Chromium";v="138", "Whale";v="4", "Not.A/Brand";v="99"',
+          'sec-ch-ua-mobile': '?0',
+          'sec-ch-ua-platform': '"Windows"',
+          'sec-fetch-dest': 'empty',
+          'sec-fetch-mode': 'cors',
+          'sec-fetch-site': 'same-origin'
+        },
+        body: JSON.stringify({
+          medSeq: medSeq
+        }),
+        signal: createRequestSignal(signal, 30000)
+      });
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw error;
     }
 
-    // HTML에서 atcflNo 패턴 찾기
-    const atcflMatches = content.match(/atcflNo=([A-Z0-9]+)/g);
-    if (atcflMatches && atcflMatches.length > 0) {
-      // 첫 번째 atcflNo 사용 (보통 해당 페이지의 메인 콘텐츠)
-      const atcflNo = atcflMatches[0].replace('atcflNo=', '');
-      return atcflNo;
+    if (!response.ok) {
+      throw new Error(`API 호출 실패: HTTP ${response.status}`);
     }
 
-    return null;
+    const data = await response.json();
+    logger.debug('✅ KOSHA API로 파일 목록 조회 성공', {
+      medSeq,
+      result: data && data.result,
+      files_count: data && Array.isArray(data.payload) ? data.payload.length : 0
+    });
+    
+    return data;
   }
 
-  // 전체 다운로드 버튼을 통한 일괄 다운로드
-  async downloadAllFilesViaBrowser(page, downloadPath) {
-    try {
-      // 다운로드 폴더 설정
-      const fullDownloadPath = path.resolve(downloadPath);
-      if (!fs.existsSync(fullDownloadPath)) {
-        fs.mkdirSync(fullDownloadPath, { recursive: true });
-      }
+  // 파일 다운로드 헬퍼 함수 (다운로드 엔진 사용, expectedSize가 있으면 크기 검증)
+  async downloadFile(url, fileName, downloadPath, { expectedSize = null, replacePath = null, onProgress = null, signal = null } = {}) {
+    return await this.downloader.download({ url, fileName, downloadPath, expectedSize, replacePath, onProgress, signal });
+  }
 
-      // 브라우저 다운로드 설정
-      await page._client.send('Page.setDownloadBehavior', {
-        behavior: 'allow',
-        downloadPath: fullDownloadPath
+  // 스마트검색 API 호출 (서비스키 한도 초과/미등록 시 다음 키로 재시도)
+  async requestSmartSearch({ searchValue, category, pageNo, numOfRows, signal = null }) {
+    if (this.serviceKeys.length === 0) {
+      throw Object.assign(new Error("서비스키가 설정되지 않았습니다. KOSHA_SERVICE_KEYS(쉼표 구분) 또는 KOSHA_SERVICE_KEY 환경변수, 혹은 kosha-config.json의 serviceKeys 항목을 설정하세요."), {
+        code: TOOL_ERROR_CODES.SERVICE_KEY_UNAVAILABLE
       });
+    }
 
-      // 다운로드 시작 전 파일 목록 확인
-      const beforeFiles = fs.existsSync(fullDownloadPath) ? fs.readdirSync(fullDownloadPath) : [];
+    const keyAttempts = [];
+    for (const entry of this.getAvailableServiceKeys()) {
+      // API URL 구성
+      const url = new URL(this.apiBaseUrl);
+      url.searchParams.append('serviceKey', entry.key);
+      url.searchParams.append('pageNo', pageNo);
+      url.searchParams.append('numOfRows', numOfRows);
+      url.searchParams.append('searchValue', searchValue);
+      url.searchParams.append('category', category);
 
-      // 전체 다운로드 버튼 찾기 (실제 HTML 구조 기반)
-      console.log('🔍 전체 다운로드 버튼 검색 시작...');
-      const downloadAllSelectors = [
-        'button.downAll', // 실제 HTML에서 확인된 클래스
-        'button[class*="downAll"]',
-        '.downAll'
-      ];
+      // HTTP 요청 실행
+      const startTime = Date.now();
+      throwIfCancelled(signal);
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'GET',
+          headers: {
+            'User-Agent': 'MCP-KOSHA-API-Tool/1.0.0',
+            'Accept': 'application/json'
+          },
+          signal: createRequestSignal(signal, 30000)
+        });
+      } catch (error) {
+        throwIfCancelled(signal);
+        throw error;
+      }
+      const duration = Date.now() - startTime;
 
-      let downloadAllButton = null;
-      
-      // 1. 일반적인 셀렉터로 찾기
-      for (const selector of downloadAllSelectors) {
-        try {
-          const buttons = await page.$$(selector);
-          if (buttons.length > 0) {
-            downloadAllButton = buttons[0];
-            console.log(`✅ 전체 다운로드 버튼 발견: ${selector}`);
-            break;
-          }
-        } catch (error) {
-          // 계속 다음 셀렉터 시도
-        }
+      // 응답 본문 읽기
+      let responseText;
+      try {
+        responseText = await response.text();
+      } catch (error) {
+        throwIfCancelled(signal);
+        responseText = `[응답 본문을 읽을 수 없습니다: ${error.message}]`;
       }
 
-      // 2. 텍스트 기반으로 버튼 찾기 (Puppeteer에서 지원하는 방식)
-      if (!downloadAllButton) {
-        try {
-          downloadAllButton = await page.evaluateHandle(() => {
-            const buttons = Array.from(document.querySelectorAll('button, a'));
-            return buttons.find(btn => {
-              const text = btn.textContent || btn.innerText || '';
-              return text.includes('전체') || text.includes('모두') || text.includes('일괄') || 
-                     text.includes('전부') || text.toLowerCase().includes('all');
-            });
-          });
-          
-          if (downloadAllButton && downloadAllButton.asElement()) {
-            console.log('✅ 텍스트 기반으로 전체 다운로드 버튼 발견');
-            downloadAllButton = downloadAllButton.asElement();
-          } else {
-            downloadAllButton = null;
-          }
-        } catch (error) {
-          console.log('텍스트 기반 버튼 검색 실패:', error.message);
-        }
+      // JSON 파싱 시도
+      let parsedResponse;
+      try {
+        parsedResponse = JSON.parse(responseText);
+      } catch (error) {
+        parsedResponse = null;
       }
 
-      // 3. 디버깅: 페이지의 모든 버튼 정보 출력
-      if (!downloadAllButton) {
-        console.log('🔍 페이지의 모든 버튼 정보를 확인합니다...');
-        try {
-          const allButtons = await page.evaluate(() => {
-            const buttons = Array.from(document.querySelectorAll('button, a, input[type="button"], input[type="submit"]'));
-            return buttons.map(btn => ({
-              tagName: btn.tagName,
-              className: btn.className,
-              id: btn.id,
-              text: (btn.textContent || btn.innerText || '').trim().substring(0, 50),
-              onclick: btn.onclick ? 'has onclick' : 'no onclick',
-              href: btn.href || 'no href'
-            }));
-          });
-          
-          console.log('📋 발견된 모든 버튼/링크:', JSON.stringify(allButtons, null, 2));
-          
-          // 다운로드와 관련된 버튼만 필터링
-          const downloadRelatedButtons = allButtons.filter(btn => 
-            btn.text.includes('다운') || btn.text.includes('down') || 
-            btn.className.includes('down') || btn.id.includes('down')
-          );
-          
-          if (downloadRelatedButtons.length > 0) {
-            console.log('📥 다운로드 관련 버튼들:', JSON.stringify(downloadRelatedButtons, null, 2));
-          }
-        } catch (debugError) {
-          console.log('디버깅 정보 수집 실패:', debugError.message);
-        }
-        
-        throw new Error('전체 다운로드 버튼을 찾을 수 없습니다. 위의 디버깅 정보를 확인하세요.');
+      const keyErrorCode = this.detectServiceKeyError(response.status, responseText, parsedResponse);
+      keyAttempts.push({
+        key: entry.label,
+        status_code: response.status,
+        result_code: keyErrorCode
+      });
+
+      if (keyErrorCode) {
+        this.markServiceKeyUnavailable(entry, keyErrorCode);
+        continue;
       }
 
-      // 전체 다운로드 버튼 클릭 (여러 방법 시도)
-      console.log('🔽 전체 다운로드 시작...');
-      try {
-        await downloadAllButton.click();
-      } catch (clickError) {
-        try {
-          await downloadAllButton.evaluate(button => button.click());
-        } catch (evalError) {
-          await page.evaluate(button => {
-            const event = new MouseEvent('click', { bubbles: true });
-            button.dispatchEvent(event);
-          }, downloadAllButton);
-        }
+      return { response, responseText, parsedResponse, duration, keyAttempts };
+    }
+
+    const unavailable = this.serviceKeys
+      .map(entry => `${entry.label}: ${entry.lastError || 'unknown'} (재시도 가능: ${new Date(entry.disabledUntil).toISOString()})`)
+      .join(', ');
+    throw Object.assign(new Error(`사용 가능한 서비스키가 없습니다. ${unavailable}`), { code: TOOL_ERROR_CODES.SERVICE_KEY_UNAVAILABLE });
+  }
+
+  // 응답 본문에서 검색 항목 배열 추출 (items 배열 / items.item 배열 또는 단일 객체 모두 허용)
+  extractSearchItems(body) {
+    if (!body || !body.items) {
+      return [];
+    }
+    if (Array.isArray(body.items)) {
+      return body.items;
+    }
+    const item = body.items.item;
+    if (Array.isArray(item)) {
+      return item;
+    }
+    return item ? [item] : [];
+  }
+
+  // 검색 항목에서 값이 있는 첫 번째 필드 반환
+  pickSearchItemField(item, ...keys) {
+    for (const key of keys) {
+      if (item[key] !== undefined && item[key] !== null && String(item[key]).trim() !== '') {
+        return item[key];
       }
-      
-      // 다운로드 완료 대기 (전체 다운로드는 시간이 더 걸릴 수 있음)
-      const maxWaitTime = 60000; // 60초
-      const checkInterval = 1000;
-      let waitTime = 0;
-      let downloadCompleted = false;
-      let downloadedFiles = [];
-
-      console.log('⏳ 다운로드 완료 대기 중...');
-      while (waitTime < maxWaitTime && !downloadCompleted) {
-        await new Promise(resolve => setTimeout(resolve, checkInterval));
-        waitTime += checkInterval;
-
-        if (fs.existsSync(fullDownloadPath)) {
-          const afterFiles = fs.readdirSync(fullDownloadPath);
-          const newFiles = afterFiles.filter(file => !beforeFiles.includes(file));
-          
-          // 다운로드 중인 파일(.crdownload, .tmp) 제외
-          const completedFiles = newFiles.filter(file => 
-            !file.endsWith('.crdownload') && 
-            !file.endsWith('.tmp') && 
-            !file.endsWith('.part')
-          );
-          
-          if (completedFiles.length > 0) {
-            downloadedFiles = completedFiles;
-            
-            // 일정 시간 동안 새로운 파일이 추가되지 않으면 완료로 간주
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            const finalFiles = fs.readdirSync(fullDownloadPath).filter(file => 
-              !beforeFiles.includes(file) && 
-              !file.endsWith('.crdownload') && 
-              !file.endsWith('.tmp') && 
-              !file.endsWith('.part')
-            );
-            
-            if (finalFiles.length === completedFiles.length) {
-              downloadCompleted = true;
-              downloadedFiles = finalFiles;
-            }
-          }
-        }
+    }
+    return null;
+  }
 
-        // 진행 상황 출력
-        if (waitTime % 5000 === 0) {
-          console.log(`⏳ 다운로드 진행 중... (${waitTime/1000}초 경과)`);
-        }
-      }
+  // HTML 태그와 엔티티를 제거한 평문으로 변환
+  stripTags(value) {
+    return value === null || value === undefined ? null : String(value)
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
 
-      if (downloadCompleted && downloadedFiles.length > 0) {
-        const results = downloadedFiles.map(fileName => {
-          const filePath = path.join(fullDownloadPath, fileName);
-          const stats = fs.statSync(filePath);
-          return {
-            file_name: fileName,
-            file_path: filePath,
-            file_size_bytes: stats.size,
-            file_size_mb: (stats.size / (1024 * 1024)).toFixed(2)
-          };
-        });
+  // 검색 항목을 안정적인 스키마로 정규화
+  normalizeSearchItem(item) {
+    const pick = (...keys) => this.pickSearchItemField(item, ...keys);
+    const stripTags = (value) => this.stripTags(value);
+
+    const categoryCode = pick('category', 'categoryCd', 'ctgry', 'ctgryCd');
+    const documentId = pick('doc_id', 'docId', 'id', 'medSeq', 'seq');
+    const body = stripTags(pick('highlight_content', 'content', 'contents', 'body'));
+    const snippet = body && body.length > SEARCH_SNIPPET_LENGTH
+      ? `${body.slice(0, SEARCH_SNIPPET_LENGTH)}…`
+      : body;
+
+    // 포털 URL: 응답에 URL이 있으면 사용, 미디어 자료는 doc_id(medSeq)로 상세 페이지 URL 생성
+    let portalUrl = pick('url', 'link', 'portal_url', 'detail_url');
+    const filePath = pick('filepath', 'file_path');
+    if (!portalUrl && filePath && /^https?:\/\//i.test(String(filePath))) {
+      portalUrl = filePath;
+    }
+    if (!portalUrl && String(categoryCode) === '6' && /^\d+$/.test(String(documentId))) {
+      portalUrl = `${KOSHA_MEDIA_DETAIL_URL}?medSeq=${documentId}`;
+    }
+
+    return {
+      title: stripTags(pick('title', 'ttl', 'subject')),
+      category_code: categoryCode === null ? null : String(categoryCode),
+      category_name: categoryCode === null ? null : (KOSHA_SEARCH_CATEGORIES[String(categoryCode)] || null),
+      snippet,
+      document_id: documentId === null ? null : String(documentId),
+      portal_url: portalUrl,
+      file_path: filePath,
+      keyword: stripTags(pick('keyword', 'keywords')),
+      registered_date: this.normalizeDate(pick('reg_date', 'regDate', 'regDt', 'reg_dt', 'frstRegDt', 'created_at')),
+      modified_date: this.normalizeDate(pick('mod_date', 'modDate', 'mdfcnDt', 'updDt', 'upd_dt', 'lastMdfcnDt', 'updated_at'))
+    };
+  }
+
+  // 날짜 값을 YYYY-MM-DD 형식으로 정규화 (해석할 수 없으면 원본 유지)
+  normalizeDate(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const text = String(value).trim();
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (compact) {
+      return `${compact[1]}-${compact[2]}-${compact[3]}`;
+    }
+    const separated = text.match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})/);
+    if (separated) {
+      return `${separated[1]}-${separated[2].padStart(2, '0')}-${separated[3].padStart(2, '0')}`;
+    }
+    return text;
+  }
 
-        console.log(`✅ 전체 다운로드 완료! ${downloadedFiles.length}개 파일 다운로드됨`);
+  // 스마트검색 한 페이지 조회 후 정규화 (정상 응답은 캐시에 저장)
+  async fetchSearchPage({ searchValue, category, pageNo, numOfRows, cacheMode = 'default', signal = null }) {
+    let keyAttempts = [];
+    let duration = 0;
+    const { value: cachedResponse, cache } = await this.withCache(
+      'smartSearch',
+      { searchValue, category: String(category), pageNo: String(pageNo), numOfRows: String(numOfRows) },
+      cacheMode,
+      async () => {
+        const fetched = await this.requestSmartSearch({ searchValue, category, pageNo, numOfRows, signal });
+        keyAttempts = fetched.keyAttempts;
+        duration = fetched.duration;
         return {
-          success: true,
-          download_method: 'browser_download_all',
-          files_count: downloadedFiles.length,
-          files: results,
-          total_wait_time: waitTime
+          ok: fetched.response.ok,
+          status: fetched.response.status,
+          statusText: fetched.response.statusText,
+          responseText: fetched.responseText
         };
-      } else {
-        throw new Error(`다운로드 시간 초과 (${maxWaitTime/1000}초) 또는 파일을 찾을 수 없음`);
+      },
+      (value) => {
+        if (!value.ok) return false;
+        try {
+          const parsed = JSON.parse(value.responseText);
+          const header = parsed.response && parsed.response.header;
+          const resultCode = header && header.resultCode !== undefined ? String(header.resultCode) : '00';
+          return Boolean(parsed.response && parsed.response.body) && ['0', '00'].includes(resultCode);
+        } catch (error) {
+          return false;
+        }
       }
+    );
 
+    const responseText = cachedResponse.responseText;
+    let parsedResponse;
+    try {
+      parsedResponse = JSON.parse(responseText);
     } catch (error) {
-      throw new Error(`전체 다운로드 실패: ${error.message}`);
+      parsedResponse = null;
     }
+
+    const header = parsedResponse && parsedResponse.response && parsedResponse.response.header;
+    const body = parsedResponse && parsedResponse.response && parsedResponse.response.body;
+
+    return {
+      response: {
+        ok: cachedResponse.ok,
+        status: cachedResponse.status,
+        statusText: cachedResponse.statusText
+      },
+      responseText,
+      parsedResponse,
+      duration,
+      keyAttempts,
+      cache,
+      header: header || null,
+      body: body || null,
+      items: body ? this.indexSearchItems(this.extractSearchItems(body)) : [],
+      totalCount: body ? Number(body.totalCount) || 0 : 0
+    };
   }
 
-  // KOSHA 포털 다운로드 URL 획득 (개선된 버전)
-  async getKoshaDownloadUrl(page, downloadButton, fileName, content, pageUrl) {
+  // 검색 항목을 정규화하고 본문 전체와 함께 로컬 색인에 저장
+  indexSearchItems(rawItems) {
+    const items = rawItems.map(item => this.normalizeSearchItem(item));
     try {
-      // 1. 브라우저를 통한 직접 다운로드 시도
-      try {
-        return await this.downloadFileViaBrowser(page, downloadButton, fileName, './downloads');
-      } catch (browserError) {
-        console.log(`브라우저 다운로드 실패, 대체 방법 시도: ${browserError.message}`);
-      }
-
-      // 2. 정적 방식: atcflNo 기반 URL 생성
-      const atcflNo = this.extractAtcflNo(content, pageUrl);
-      if (atcflNo) {
-        const fileIndex = 1;
-        const downloadUrl = this.generateKoshaDownloadUrl(atcflNo, fileIndex);
-        return downloadUrl;
+      this.localIndex.upsert(items.map((item, index) => ({
+        ...item,
+        id: `search:${this.getSearchItemKey(item)}`,
+        source: 'search',
+        text: this.stripTags(this.pickSearchItemField(rawItems[index], 'content', 'contents', 'body', 'highlight_content')) || ''
+      })));
+      if (items.length > 0) {
+        this.notifyResourceListChanged();
       }
+    } catch (error) {
+      logger.warning(`⚠️ 검색 결과 색인 실패: ${error.message}`);
+    }
+    return items;
+  }
 
-      // 3. 대체 방식: 기존 동적 크롤링
-      const baseUrl = 'https://portal.kosha.or.kr';
-      const possibleUrls = [
-        `${baseUrl}/api/portal24/bizV/p/VCPDG01007/downloadFile?fileName=${encodeURIComponent(fileName)}`,
-        `${baseUrl}/download/${encodeURIComponent(fileName)}`
-      ];
-
-      for (const testUrl of possibleUrls) {
-        try {
-          const response = await fetch(testUrl, { 
-            method: 'HEAD',
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-          });
-          if (response.ok) {
-            return testUrl;
-          }
-        } catch (testError) {
-          // 계속 다음 URL 시도
-        }
-      }
+  // 다운로드한 파일의 텍스트를 로컬 색인에 저장
+  async indexDownloadedFile(filePath, metadata = {}) {
+    try {
+      const fileName = path.basename(filePath);
+      const text = metadata.text !== undefined ? metadata.text : await this.extractIndexableText(filePath);
+      this.localIndex.upsert([{
+        id: `file:${path.resolve(filePath)}`,
+        source: 'file',
+        title: metadata.title || fileName,
+        category_code: metadata.category_code || null,
+        category_name: metadata.category_code ? KOSHA_SEARCH_CATEGORIES[metadata.category_code] || null : null,
+        snippet: text ? text.slice(0, SEARCH_SNIPPET_LENGTH) : null,
+        document_id: metadata.medSeq ? String(metadata.medSeq) : null,
+        portal_url: metadata.portal_url || null,
+        file_path: path.resolve(filePath),
+        file_name: fileName,
+        file_type: this.getFileTypeFromFileName(fileName),
+        medSeq: metadata.medSeq ? String(metadata.medSeq) : null,
+        atcflNo: metadata.atcflNo || null,
+        text_extracted: Boolean(text),
+        text: text || ''
+      }]);
+      this.notifyResourceListChanged();
+    } catch (error) {
+      logger.warning(`⚠️ 다운로드 파일 색인 실패 (${filePath}): ${error.message}`);
+    }
+  }
 
-      throw new Error('다운로드 URL을 생성할 수 없습니다.');
+  // 색인할 텍스트 추출 (평문 계열 파일과 PDF, HWP/HWPX, DOCX, PPTX 문서)
+  async extractIndexableText(filePath) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    if (PLAIN_TEXT_EXTENSIONS.includes(extension)) {
+      const content = fs.readFileSync(filePath, 'utf8');
+      return ['html', 'htm', 'xml'].includes(extension) ? this.stripTags(content) : content;
+    }
 
+    try {
+      const { units } = await this.extractDocumentText(filePath);
+      return units.map(unit => unit.text).join('\n\n');
     } catch (error) {
-      throw new Error(`Failed to get download URL for ${fileName}: ${error.message}`);
+      // 텍스트를 추출할 수 없는 형식은 파일명만 색인
+      return '';
     }
   }
 
-  // Selenium을 사용한 페이지 크롤링 및 다운로드
-  async executeSeleniumCrawl(args) {
-    console.log('🚀 Selenium 함수 시작됨');
+  // 문서 형식 판별 (확장자보다 파일 시그니처 우선)
+  detectDocumentFormat(filePath) {
+    const header = Buffer.alloc(32);
+    const fd = fs.openSync(filePath, 'r');
+    let bytesRead;
     try {
-      const { pageUrl, downloadPath = './downloads', autoDownload = true, useHeadless = false } = args;
-      
-      if (!pageUrl) {
-        throw new Error("pageUrl은 필수 매개변수입니다.");
-      }
+      bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const signature = header.subarray(0, bytesRead);
+    const extension = path.extname(filePath).slice(1).toLowerCase();
 
-      // URL 유효성 검사
+    if (signature.subarray(0, 5).toString('latin1') === '%PDF-') {
+      return 'pdf';
+    }
+    if (signature.subarray(0, 17).toString('latin1') === 'HWP Document File') {
+      return 'hwp3';
+    }
+    if (signature.length >= 8 && signature.readUInt32BE(0) === 0xD0CF11E0 && signature.readUInt32BE(4) === 0xA1B11AE1) {
+      const container = CFB.read(fs.readFileSync(filePath), { type: 'buffer' });
+      if (CFB.find(container, 'FileHeader')) return 'hwp';
+      if (CFB.find(container, 'WordDocument')) return 'doc';
+      if (CFB.find(container, 'PowerPoint Document')) return 'ppt';
+      return 'ole';
+    }
+    if (signature.length >= 4 && signature.readUInt32LE(0) === 0x04034b50) {
+      const archive = ZipArchive.open(filePath);
       try {
-        new URL(pageUrl);
-        if (!pageUrl.includes('portal.kosha.or.kr')) {
-          throw new Error("KOSHA 포털 URL이 아닙니다.");
-        }
-      } catch (error) {
-        throw new Error("유효하지 않은 URL입니다.");
+        if (archive.entries.some(entry => /^Contents\/section\d+\.xml$/i.test(entry.name))) return 'hwpx';
+        if (archive.find('word/document.xml')) return 'docx';
+        if (archive.find('ppt/presentation.xml')) return 'pptx';
+        return 'zip';
+      } finally {
+        archive.close();
       }
+    }
+    if (PLAIN_TEXT_EXTENSIONS.includes(extension)) {
+      return 'text';
+    }
+    return extension || 'unknown';
+  }
 
-      const startTime = Date.now();
-      const extractedLinks = [];
-      const downloadResults = [];
+  // 문서에서 페이지/구역/슬라이드 단위 텍스트 추출
+  async extractDocumentText(filePath) {
+    const format = this.detectDocumentFormat(filePath);
+
+    switch (format) {
+      case 'pdf':
+        return await this.extractPdfText(filePath);
+      case 'hwp':
+        return this.extractHwpText(filePath);
+      case 'hwpx':
+        return this.extractHwpxText(filePath);
+      case 'docx':
+        return this.extractDocxText(filePath);
+      case 'pptx':
+        return this.extractPptxText(filePath);
+      case 'text':
+        return {
+          format,
+          units: [{ kind: 'document', index: 1, label: '본문', text: fs.readFileSync(filePath, 'utf8') }],
+          warnings: []
+        };
+      case 'hwp3':
+        throw new Error('HWP 3.0 이하 형식은 지원하지 않습니다. 한글에서 HWP 또는 HWPX 형식으로 다시 저장하세요.');
+      case 'doc':
+      case 'ppt':
+        throw new Error(`구 버전 MS Office 형식(${format})은 지원하지 않습니다. ${format}x 형식으로 변환하세요.`);
+      default:
+        throw new Error(`텍스트를 추출할 수 없는 파일 형식입니다: ${format}`);
+    }
+  }
 
-      console.log(`🔍 Selenium으로 페이지 크롤링 시작: ${pageUrl}`);
+  // PDF: 페이지별 텍스트 레이어 추출 (한글 CID 글꼴용 CMap 포함)
+  async extractPdfText(filePath) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const pdfjsRoot = path.dirname(require.resolve('pdfjs-dist/package.json'));
+    const pdfDocument = await pdfjs.getDocument({
+      data: new Uint8Array(fs.readFileSync(filePath)),
+      cMapUrl: path.join(pdfjsRoot, 'cmaps') + path.sep,
+      cMapPacked: true,
+      standardFontDataUrl: path.join(pdfjsRoot, 'standard_fonts') + path.sep,
+      disableFontFace: true,
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
 
-      // Chrome 옵션 설정 (봇 감지 회피)
-      const chromeOptions = new chrome.Options();
-      
-      // Chrome 바이너리 경로 설정
-      chromeOptions.setChromeBinaryPath('C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe');
-      
-      // 다운로드 설정 (Python 코드와 동일하게)
-      chromeOptions.setUserPreferences({
-        'download.default_directory': fullDownloadPath,
-        'download.prompt_for_download': false,
-        'download.directory_upgrade': true,
-        'safebrowsing.enabled': true
-      });
-      
-      if (useHeadless) {
-        chromeOptions.addArguments('--headless=new');
+    try {
+      const units = [];
+      for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        const page = await pdfDocument.getPage(pageNumber);
+        const content = await page.getTextContent();
+        let text = '';
+        for (const item of content.items) {
+          if (typeof item.str !== 'string') continue;
+          text += item.str + (item.hasEOL ? '\n' : '');
+        }
+        units.push({ kind: 'page', index: pageNumber, label: `페이지 ${pageNumber}`, text: text.trim() });
+        page.cleanup();
       }
-      
-      // 봇 감지 회피를 위한 옵션들
-      chromeOptions.addArguments(
-        '--disable-blink-features=AutomationControlled',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--disable-dev-shm-usage',
-        '--disable-extensions',
-        '--disable-plugins',
-        '--disable-default-apps',
-        '--disable-sync',
-        '--disable-translate',
-        '--no-first-run',
-        '--no-default-browser-check',
-        '--disable-infobars',
-        '--start-maximized',
-        '--window-size=1920,1080',
-        '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36'
-      );
 
-      // 다운로드 경로 설정
-      const fullDownloadPath = path.resolve(downloadPath);
-      if (!fs.existsSync(fullDownloadPath)) {
-        fs.mkdirSync(fullDownloadPath, { recursive: true });
-      }
+      const emptyPages = units.filter(unit => !unit.text).map(unit => unit.index);
+      return {
+        format: 'pdf',
+        units,
+        warnings: emptyPages.length > 0
+          ? [`텍스트가 없는 페이지가 있습니다 (스캔 이미지일 수 있음): ${emptyPages.join(', ')}`]
+          : []
+      };
+    } finally {
+      await pdfDocument.destroy();
+    }
+  }
 
-      chromeOptions.setUserPreferences({
-        'download.default_directory': fullDownloadPath,
-        'download.prompt_for_download': false,
-        'download.directory_upgrade': true,
-        'safebrowsing.enabled': true
-      });
+  // HWP 5.0: BodyText/Section 스트림의 문단 텍스트 레코드 추출
+  extractHwpText(filePath) {
+    const container = CFB.read(fs.readFileSync(filePath), { type: 'buffer' });
+    const fileHeader = Buffer.from(CFB.find(container, 'FileHeader').content);
+    const properties = fileHeader.readUInt32LE(36);
 
-      // WebDriver 생성
-      const driver = await new Builder()
-        .forBrowser('chrome')
-        .setChromeOptions(chromeOptions)
-        .build();
+    if (properties & 0x2) {
+      throw new Error('암호가 설정된 한글 문서는 지원하지 않습니다.');
+    }
+    if (properties & 0x4) {
+      throw new Error('배포용 한글 문서는 본문이 암호화되어 있어 텍스트를 추출할 수 없습니다.');
+    }
+    const compressed = Boolean(properties & 0x1);
 
-      try {
-        console.log('📱 브라우저 시작됨');
-        
-        // 봇 감지 회피 스크립트 실행
-        await driver.executeScript(`
-          Object.defineProperty(navigator, 'webdriver', {
-            get: () => undefined,
-          });
-          
-          window.chrome = {
-            runtime: {},
-          };
-          
-          Object.defineProperty(navigator, 'plugins', {
-            get: () => [1, 2, 3, 4, 5],
-          });
-        `);
+    const sections = container.FullPaths
+      .map((fullPath, index) => ({ match: fullPath.match(/\/BodyText\/Section(\d+)$/), entry: container.FileIndex[index] }))
+      .filter(({ match }) => match)
+      .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
 
-        // 페이지 로드
-        console.log('🌐 페이지 로드 중...');
-        await driver.get(pageUrl);
-        
-        // 페이지 로드 대기
-        await driver.wait(until.titleContains('산업안전포털'), 30000);
-        console.log('✅ 페이지 로드 완료');
+    const units = sections.map(({ match, entry }) => {
+      let data = Buffer.from(entry.content);
+      if (compressed) {
+        data = zlib.inflateRawSync(data);
+      }
+      const sectionNumber = Number(match[1]) + 1;
+      return {
+        kind: 'section',
+        index: sectionNumber,
+        label: `구역 ${sectionNumber}`,
+        text: this.joinParagraphs(this.parseHwpParagraphs(data))
+      };
+    });
 
-        // 페이지 로딩 대기 (최적화)
-        console.log('⏳ 페이지 로딩 대기 중... (5초)');
-        await driver.sleep(5000);
+    return { format: 'hwp', units, warnings: [] };
+  }
 
-        // 페이지의 모든 버튼 찾기 (디버깅용)
-        console.log('🔍 페이지의 모든 버튼 검색 중...');
-        const allButtons = await driver.findElements(By.tagName('button'));
-        console.log(`📊 총 ${allButtons.length}개의 버튼 발견`);
-        
-        // 각 버튼의 텍스트와 클래스 확인
-        for (let i = 0; i < Math.min(allButtons.length, 10); i++) {
-          try {
-            const buttonText = await allButtons[i].getText();
-            const buttonClass = await allButtons[i].getAttribute('class');
-            console.log(`버튼 ${i+1}: "${buttonText}" (class: ${buttonClass})`);
-          } catch (err) {
-            console.log(`버튼 ${i+1}: 정보 읽기 실패`);
-          }
-        }
+  // HWP 레코드 스트림에서 문단 텍스트(HWPTAG_PARA_TEXT)만 읽기
+  parseHwpParagraphs(data) {
+    const paragraphs = [];
+    let offset = 0;
+    while (offset + 4 <= data.length) {
+      const header = data.readUInt32LE(offset);
+      const tagId = header & 0x3FF;
+      let size = header >>> 20;
+      offset += 4;
+      if (size === 0xFFF) {
+        if (offset + 4 > data.length) break;
+        size = data.readUInt32LE(offset);
+        offset += 4;
+      }
+      if (tagId === HWPTAG_PARA_TEXT) {
+        paragraphs.push(this.decodeHwpParaText(data.subarray(offset, offset + size)));
+      }
+      offset += size;
+    }
+    return paragraphs;
+  }
 
-        // Python에서 성공한 방식: button.downAll 직접 시도
-        let downloadAllButton = null;
-        try {
-          console.log('🔍 Python 성공 셀렉터 시도: button.downAll');
-          downloadAllButton = await driver.findElement(By.css('button.downAll'));
-          console.log('✅ 전체 다운로드 버튼 발견! (Python 방식 성공)');
-        } catch (error) {
-          console.log('❌ Python 방식 실패, 다른 셀렉터들 시도...');
-          
-          // 대안 셀렉터들
-          const alternativeSelectors = [
-            'button[class*="downAll"]',
-            'button[onclick*="downAll"]',
-            'input[type="button"][value*="전체"]',
-            'input[type="button"][value*="다운로드"]'
-          ];
-          
-          for (const selector of alternativeSelectors) {
-            try {
-              console.log(`🔍 대안 셀렉터 시도: ${selector}`);
-              downloadAllButton = await driver.findElement(By.css(selector));
-              if (downloadAllButton) {
-                console.log(`✅ 전체 다운로드 버튼 발견! (셀렉터: ${selector})`);
-                break;
-              }
-            } catch (selectorError) {
-              console.log(`❌ 셀렉터 실패: ${selector}`);
-            }
-          }
-        }
-        
-        // 텍스트로 버튼 찾기
-        if (!downloadAllButton) {
-          console.log('🔍 텍스트로 전체 다운로드 버튼 검색 중...');
-          try {
-            const buttons = await driver.findElements(By.tagName('button'));
-            for (const button of buttons) {
-              const buttonText = await button.getText();
-              if (buttonText.includes('전체') || buttonText.includes('다운로드') || buttonText.includes('모두')) {
-                console.log(`✅ 텍스트로 버튼 발견: "${buttonText}"`);
-                downloadAllButton = button;
-                break;
-              }
-            }
-          } catch (error) {
-            console.log('❌ 텍스트 검색 실패:', error.message);
-          }
-        }
-        
-        if (downloadAllButton) {
-          try {
-            console.log('🔽 전체 다운로드 버튼 클릭 시도... (Python 성공 방식)');
-            
-            // 버튼이 보이도록 스크롤 (Python과 동일)
-            await driver.executeScript("arguments[0].scrollIntoView(true);", downloadAllButton);
-            await driver.sleep(2000);
-            
-            // 클릭 시도
-            await downloadAllButton.click();
-            console.log('✅ 전체 다운로드 버튼 클릭 완료!');
-            
-            // 다운로드 완료 대기 (최적화)
-            console.log('⏳ 다운로드 완료 대기 중 (10초)...');
-            await driver.sleep(10000);
-            
-            extractedLinks.push({
-              url: 'bulk_download_success',
-              text: '전체 다운로드 버튼 클릭 완료 (Python 방식)',
-              fileName: 'bulk_download',
-              fileSize: 'Unknown',
-              selector: 'python_method_success',
-              type: 'bulk',
-              method: 'selenium_bulk_download_python_style'
-            });
-            
-          } catch (clickError) {
-            console.log('❌ 일반 클릭 실패, JavaScript 클릭 시도...', clickError.message);
-            
-            // Python과 동일한 JavaScript 클릭 fallback
-            try {
-              console.log('🔄 JavaScript로 클릭 재시도...');
-              await driver.executeScript("arguments[0].click();", downloadAllButton);
-              console.log('✅ JavaScript 클릭 성공!');
-              await driver.sleep(10000);
-              
-              extractedLinks.push({
-                url: 'bulk_download_success_js',
-                text: '전체 다운로드 버튼 JavaScript 클릭 완료',
-                fileName: 'bulk_download_js',
-                fileSize: 'Unknown',
-                selector: 'javascript_click_success',
-                type: 'bulk',
-                method: 'selenium_bulk_download_js_fallback'
-              });
-              
-            } catch (jsError) {
-              console.log('❌ JavaScript 클릭도 실패:', jsError.message);
-            }
-          }
-        } else {
-          console.log('⚠️ 전체 다운로드 버튼을 찾을 수 없음');
+  // 문단 텍스트(UTF-16LE)에서 컨트롤 문자를 처리하여 평문으로 변환
+  decodeHwpParaText(buffer) {
+    let text = '';
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+      const code = buffer.readUInt16LE(i);
+      if (code >= 32) {
+        text += String.fromCharCode(code);
+        continue;
+      }
+      if (HWP_INLINE_CONTROL_CHARS.includes(code) || HWP_EXTENDED_CONTROL_CHARS.includes(code)) {
+        if (code === 9) {
+          text += '\t';
         }
+        // 컨트롤 문자를 포함해 8 WCHAR(16바이트)를 차지
+        i += 14;
+        continue;
+      }
+      if (code === 10) {
+        text += '\n';
+      } else if (code === 24) {
+        text += '-';
+      } else if (code === 30 || code === 31) {
+        text += ' ';
+      }
+    }
+    return text.replace(/\s+$/, '');
+  }
 
-        // 다운로드 완료 대기 (최적화)
-        console.log('⏳ 다운로드 완료 대기 중...');
-        await driver.sleep(3000);
+  // HWPX: Contents/sectionN.xml의 문단(hp:p) 텍스트 추출
+  extractHwpxText(filePath) {
+    const archive = ZipArchive.open(filePath);
+    try {
+      const sections = archive.entries
+        .map(entry => ({ entry, match: entry.name.match(/^Contents\/section(\d+)\.xml$/i) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
 
-      } finally {
-        await driver.quit();
-        console.log('🔚 브라우저 종료');
-      }
+      const units = sections.map(({ entry, match }) => {
+        const $ = cheerio.load(archive.readEntry(entry).toString('utf8'), { xmlMode: true });
+        const paragraphs = [];
+        $('hp\\:p').each((i, element) => {
+          // 표 안의 문단은 별도 hp:p로 처리되므로 자신의 run만 읽음
+          paragraphs.push($(element).children('hp\\:run').children('hp\\:t').map((j, node) => $(node).text()).get().join(''));
+        });
+        const sectionNumber = Number(match[1]) + 1;
+        return {
+          kind: 'section',
+          index: sectionNumber,
+          label: `구역 ${sectionNumber}`,
+          text: this.joinParagraphs(paragraphs)
+        };
+      });
 
-      const endTime = Date.now();
-      const duration = endTime - startTime;
+      return { format: 'hwpx', units, warnings: [] };
+    } finally {
+      archive.close();
+    }
+  }
 
-      const result = {
-        success: true,
-        message: "Selenium 크롤링이 완료되었습니다.",
-        crawl_info: {
-          source_url: pageUrl,
-          duration_ms: duration,
-          links_found: extractedLinks.length,
-          auto_download_enabled: autoDownload,
-          method: 'selenium'
-        },
-        extracted_links: extractedLinks,
-        download_results: downloadResults.length > 0 ? downloadResults : extractedLinks
-      };
+  // DOCX: 페이지 나눔(명시적/렌더링 기록)과 구역 나눔 기준으로 텍스트 분할
+  extractDocxText(filePath) {
+    const archive = ZipArchive.open(filePath);
+    let xml;
+    try {
+      xml = archive.readEntry(archive.find('word/document.xml')).toString('utf8');
+    } finally {
+      archive.close();
+    }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(result, null, 2)
-          }
-        ]
-      };
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const hasPageBreaks = $('w\\:lastRenderedPageBreak, w\\:br[w\\:type="page"]').length > 0;
+    const units = [];
+    // 페이지 번호는 페이지 나눔에서만, 구역 번호는 구역 끝에서만 증가
+    let page = 1;
+    let section = 1;
+    let pageSection = 1;
+    let paragraphs = [];
+    let current = '';
+    let afterExplicitBreak = false;
+
+    // 내용이 없는 페이지·구역은 단위로 만들지 않음 (번호는 그대로 증가)
+    const flush = () => {
+      if (paragraphs.some(text => text.trim())) {
+        const text = this.joinParagraphs(paragraphs);
+        units.push(hasPageBreaks
+          ? { kind: 'page', index: page, label: `페이지 ${page}`, section: pageSection, text }
+          : { kind: 'section', index: section, label: `구역 ${section}`, section, text });
+      }
+      paragraphs = [];
+    };
+
+    $('w\\:body w\\:p').each((i, paragraph) => {
+      current = '';
+      $(paragraph).find('w\\:t, w\\:tab, w\\:br, w\\:cr, w\\:lastRenderedPageBreak').each((j, node) => {
+        const tagName = node.tagName || node.name;
+        if (tagName === 'w:t') {
+          const text = $(node).text();
+          current += text;
+          if (text) afterExplicitBreak = false;
+        } else if (tagName === 'w:tab') {
+          current += '\t';
+        } else if ((tagName === 'w:br' && $(node).attr('w:type') === 'page') || tagName === 'w:lastRenderedPageBreak') {
+          // 직접 넣은 페이지 나눔 바로 뒤의 렌더링 기록은 같은 나눔
+          if (tagName === 'w:lastRenderedPageBreak' && afterExplicitBreak) return;
+          afterExplicitBreak = tagName === 'w:br';
+          if (current) paragraphs.push(current);
+          current = '';
+          flush();
+          page++;
+          pageSection = section;
+        } else {
+          current += '\n';
+        }
+      });
+      paragraphs.push(current);
 
-    } catch (error) {
-      const errorResult = {
-        success: false,
-        error: error.message,
-        error_type: error.name || 'Error'
-      };
+      // 문단 속성에 구역 설정이 있으면 구역의 끝 (페이지 단위로 나눌 때는 번호만 증가)
+      if ($(paragraph).children('w\\:pPr').children('w\\:sectPr').length > 0) {
+        if (!hasPageBreaks) flush();
+        section++;
+      }
+    });
+    flush();
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(errorResult, null, 2)
-          }
-        ]
-      };
-    }
+    return { format: 'docx', units, warnings: [] };
   }
 
-  // API 테스트 실행 함수
-  async executeApiTest(args) {
+  // PPTX: 슬라이드별 텍스트 (presentation.xml의 슬라이드 목록 순서)
+  extractPptxText(filePath) {
+    const archive = ZipArchive.open(filePath);
     try {
-      const { medSeq } = args;
-      
-      if (!medSeq) {
-        throw new Error("medSeq는 필수 매개변수입니다.");
+      const warnings = [];
+      let slideEntries = this.getPptxSlideOrder(archive);
+      if (!slideEntries) {
+        warnings.push('ppt/presentation.xml의 슬라이드 목록을 읽지 못해 슬라이드 파일 번호 순서로 추출했습니다.');
+        slideEntries = archive.entries
+          .map(entry => ({ entry, match: entry.name.match(/^ppt\/slides\/slide(\d+)\.xml$/) }))
+          .filter(({ match }) => match)
+          .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+          .map(({ entry }) => entry);
       }
 
-      console.log(`🔍 API 테스트 시작: medSeq=${medSeq}`);
-      const result = await this.getFileListFromAPI(medSeq);
-      
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(result, null, 2)
-          }
-        ]
-      };
+      const units = slideEntries.map((entry, index) => {
+        const $ = cheerio.load(archive.readEntry(entry).toString('utf8'), { xmlMode: true });
+        const paragraphs = $('a\\:p').map((i, element) =>
+          $(element).find('a\\:t').map((j, node) => $(node).text()).get().join('')
+        ).get();
+        return {
+          kind: 'slide',
+          index: index + 1,
+          label: `슬라이드 ${index + 1}`,
+          text: this.joinParagraphs(paragraphs)
+        };
+      });
 
-    } catch (error) {
-      const errorResult = {
-        success: false,
-        error: error.message,
-        error_type: error.name || 'Error'
-      };
+      return { format: 'pptx', units, warnings };
+    } finally {
+      archive.close();
+    }
+  }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(errorResult, null, 2)
-          }
-        ]
-      };
+  // p:sldIdLst의 r:id를 presentation.xml.rels로 풀어 표시 순서대로 슬라이드 항목 반환 (목록이 없으면 null)
+  getPptxSlideOrder(archive) {
+    const presentationEntry = archive.find('ppt/presentation.xml');
+    const relsEntry = archive.find('ppt/_rels/presentation.xml.rels');
+    if (!presentationEntry || !relsEntry) {
+      return null;
     }
+
+    const $rels = cheerio.load(archive.readEntry(relsEntry).toString('utf8'), { xmlMode: true });
+    const targets = new Map();
+    $rels('Relationship').each((i, element) => {
+      const target = $rels(element).attr('Target') || '';
+      // Target은 ppt/ 기준 상대 경로이거나 패키지 루트 기준 절대 경로
+      targets.set($rels(element).attr('Id'), target.startsWith('/')
+        ? target.slice(1)
+        : path.posix.normalize(path.posix.join('ppt', target)));
+    });
+
+    const $ = cheerio.load(archive.readEntry(presentationEntry).toString('utf8'), { xmlMode: true });
+    const entries = $('p\\:sldIdLst > p\\:sldId').map((i, element) => {
+      const target = targets.get($(element).attr('r:id'));
+      return target ? archive.find(target) : null;
+    }).get().filter(Boolean);
+
+    return entries.length > 0 ? entries : null;
   }
 
-  // KOSHA API를 통한 파일 목록 조회
-  async getFileListFromAPI(medSeq) {
-    try {
-      const apiUrl = 'https://portal.kosha.or.kr/api/portal24/bizA/p/files/getFileList';
-      
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json, text/plain, */*',
-          'Accept-Encoding': 'gzip, deflate, br, zstd',
-          'Accept-Language': 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7',
-          'Content-Type': 'application/json',
-          'Origin': 'https://portal.kosha.or.kr',
-          'Referer': `https://portal.kosha.or.kr/archive/cent-archive/master-arch/master-list1/master-detail1?medSeq=${medSeq}`,
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
-          'chnlid': 'portal24',
-          'Cookie': 'WHATAP=z2j0a1thils8tb', // 세션 쿠키 추가
-          'sec-ch-ua': '"Chromium";v="138", "Whale";v="4", "Not.A/Brand";v="99"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"Windows"',
-          'sec-fetch-dest': 'empty',
-          'sec-fetch-mode': 'cors',
-          'sec-fetch-site': 'same-origin'
-        },
-        body: JSON.stringify({
-          medSeq: medSeq
-        })
+  // 문단 목록을 줄바꿈으로 잇고 연속된 빈 줄 정리
+  joinParagraphs(paragraphs) {
+    return paragraphs.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  // 정규화된 검색 항목의 중복 판별 키
+  getSearchItemKey(item) {
+    if (item.document_id) {
+      return `${item.category_code}:${item.document_id}`;
+    }
+    return `${item.category_code}:${item.title}:${item.snippet}`;
+  }
+
+  // 여러 페이지를 순회하며 결과를 모으고 중복 제거 (maxResults 또는 fetchAll 모드)
+  // 스마트검색 페이지 조회 실패 확인 (HTTP 오류 또는 본문이 없는 API 오류 응답)
+  // 실패한 페이지가 있으면 "찾을 수 없음"과 구분할 수 있도록 error_code가 붙은 오류를, 없으면 null을 반환
+  getSearchPageError(pages) {
+    const failedPage = pages.find(page => !page.response.ok || !page.body);
+    if (!failedPage) {
+      return null;
+    }
+    const header = failedPage.header;
+    const detail = header && header.resultMsg
+      ? `${header.resultMsg} (resultCode: ${header.resultCode})`
+      : `HTTP ${failedPage.response.status} ${failedPage.response.statusText || ''}`.trim();
+    const keyError = this.detectServiceKeyError(failedPage.response.status, failedPage.responseText, failedPage.parsedResponse);
+    return Object.assign(new Error(`스마트검색 API 조회에 실패했습니다: ${detail}`), {
+      code: keyError ? TOOL_ERROR_CODES.SERVICE_KEY_UNAVAILABLE : TOOL_ERROR_CODES.TOOL_FAILED
+    });
+  }
+
+  async collectSearchResults({ searchValue, category, pageNo, numOfRows, maxResults, fetchAll, maxPages, cacheMode, signal = null }) {
+    const startPage = Math.max(parseInt(pageNo, 10) || 1, 1);
+    const rowsPerPage = Math.max(parseInt(numOfRows, 10) || 100, 1);
+    const pageLimit = Math.max(parseInt(maxPages, 10) || this.getSearchMaxPages(), 1);
+    const resultLimit = maxResults ? Math.max(parseInt(maxResults, 10) || 0, 1) : null;
+
+    const pages = [];
+    const items = [];
+    const seenKeys = new Set();
+    let duplicatesRemoved = 0;
+    let totalCount = 0;
+    let stopReason = 'complete';
+
+    for (let page = startPage; page < startPage + pageLimit; page++) {
+      throwIfCancelled(signal);
+      const pageResult = await this.fetchSearchPage({
+        searchValue,
+        category,
+        pageNo: String(page),
+        numOfRows: String(rowsPerPage),
+        cacheMode,
+        signal
       });
+      pages.push(pageResult);
 
-      if (!response.ok) {
-        throw new Error(`API 호출 실패: HTTP ${response.status}`);
+      if (!pageResult.response.ok || !pageResult.body) {
+        stopReason = 'error';
+        break;
       }
 
-      const data = await response.json();
-      console.log('✅ KOSHA API로 파일 목록 조회 성공:', data);
-      
-      return {
-        success: true,
-        data: data,
-        result: data.result,
-        message: data.message,
-        payload: data.payload
-      };
+      totalCount = pageResult.totalCount;
+      for (const item of pageResult.items) {
+        const key = this.getSearchItemKey(item);
+        if (seenKeys.has(key)) {
+          duplicatesRemoved++;
+          continue;
+        }
+        seenKeys.add(key);
+        items.push(item);
+      }
 
-    } catch (error) {
-      console.log('❌ KOSHA API 호출 실패:', error.message);
-      return {
-        success: false,
-        error: error.message
-      };
+      if (resultLimit && items.length >= resultLimit) {
+        stopReason = 'max_results';
+        break;
+      }
+      if (pageResult.items.length === 0) {
+        stopReason = 'empty_page';
+        break;
+      }
+      if (page * rowsPerPage >= totalCount) {
+        stopReason = 'complete';
+        break;
+      }
+      if (page === startPage + pageLimit - 1) {
+        stopReason = 'max_pages';
+      }
     }
+
+    const limitedItems = resultLimit ? items.slice(0, resultLimit) : items;
+    const availableCount = Math.max(totalCount - (startPage - 1) * rowsPerPage, 0);
+
+    return {
+      pages,
+      items: limitedItems,
+      totalCount,
+      pagination: {
+        mode: fetchAll ? 'fetch_all' : 'max_results',
+        start_page: startPage,
+        num_of_rows: rowsPerPage,
+        max_pages: pageLimit,
+        max_results: resultLimit,
+        pages_fetched: pages.length,
+        items_collected: limitedItems.length,
+        duplicates_removed: duplicatesRemoved,
+        stop_reason: stopReason,
+        truncated: limitedItems.length < availableCount - duplicatesRemoved
+      }
+    };
+  }
+
+  // 자동 페이지 순회 시 최대 페이지 수 (KOSHA_SEARCH_MAX_PAGES 환경변수 또는 설정 파일 search.maxPages)
+  getSearchMaxPages() {
+    const configured = process.env.KOSHA_SEARCH_MAX_PAGES ||
+      (this.config.search && this.config.search.maxPages);
+    return parseInt(configured, 10) || 10;
   }
 
-  // 파일 다운로드 헬퍼 함수
-  async downloadFile(url, fileName, downloadPath) {
-    const fullDownloadPath = path.resolve(downloadPath);
-    if (!fs.existsSync(fullDownloadPath)) {
-      fs.mkdirSync(fullDownloadPath, { recursive: true });
+  // category 인자를 코드 배열로 정규화 (문자열, 쉼표 구분 문자열, 배열 허용)
+  normalizeCategories(category) {
+    const list = Array.isArray(category) ? category : String(category).split(',');
+    const codes = [...new Set(list.map(code => String(code).trim()).filter(Boolean))];
+    const invalid = codes.filter(code => !KOSHA_SEARCH_CATEGORIES[code]);
+    if (invalid.length > 0) {
+      throw createInvalidArgumentsError(`지원하지 않는 category 값입니다: ${invalid.join(', ')} (허용: ${Object.keys(KOSHA_SEARCH_CATEGORIES).join(', ')})`, 'category');
     }
+    if (codes.length === 0) {
+      throw createInvalidArgumentsError("category는 최소 한 개 이상이어야 합니다.", 'category');
+    }
+    return codes;
+  }
 
-    const filePath = path.join(fullDownloadPath, fileName);
+  // 단일 카테고리 검색 결과 구성 (단일 페이지 또는 자동 페이지 순회)
+  async buildCategorySearchResult({ searchValue, category, pageNo, numOfRows, includeRaw, maxResults, fetchAll, maxPages, cacheMode, signal = null }) {
+    const paginate = fetchAll || Boolean(maxResults);
     const startTime = Date.now();
+    const collected = paginate
+      ? await this.collectSearchResults({ searchValue, category, pageNo, numOfRows, maxResults, fetchAll, maxPages, cacheMode, signal })
+      : null;
+    const pages = collected
+      ? collected.pages
+      : [await this.fetchSearchPage({ searchValue, category, pageNo, numOfRows, cacheMode, signal })];
+    const firstPage = pages[0];
+    const lastPage = pages[pages.length - 1];
+    const failedPage = pages.find(page => !page.response.ok);
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
-        'Accept': '*/*',
-        'Accept-Encoding': 'gzip, deflate, br, zstd',
-        'Accept-Language': 'ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7',
-        'Referer': 'https://portal.kosha.or.kr/',
-        'Origin': 'https://portal.kosha.or.kr'
+    const result = {
+      success: !failedPage,
+      ...(failedPage ? {
+        error: `스마트검색 API 호출 실패: HTTP ${failedPage.response.status} ${failedPage.response.statusText}`,
+        error_code: TOOL_ERROR_CODES.TOOL_FAILED
+      } : {}),
+      status_code: lastPage.response.status,
+      status_text: lastPage.response.statusText,
+      duration_ms: paginate ? Date.now() - startTime : firstPage.duration,
+      search_params: {
+        searchValue,
+        category,
+        pageNo,
+        numOfRows,
+        ...(paginate ? { maxResults: maxResults || null, fetchAll } : {})
       },
-      timeout: 60000
-    });
+      cache: this.summarizeCacheStatus(
+        cacheMode,
+        pages.filter(page => page.cache.status === 'hit').length,
+        pages.length
+      )
+    };
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // 서비스키 전환이 있었던 경우 시도 내역 기록 (키 값은 노출하지 않음)
+    const keyAttempts = pages.flatMap(page => page.keyAttempts);
+    if (keyAttempts.length > pages.length) {
+      result.service_key_rotation = keyAttempts;
     }
 
-    const fileStream = fs.createWriteStream(filePath);
-    const downloadPromise = new Promise((resolve, reject) => {
-      response.body.pipe(fileStream);
-      response.body.on('error', reject);
-      fileStream.on('finish', resolve);
-      fileStream.on('error', reject);
-    });
+    // API 결과 코드 추가
+    if (firstPage.header) {
+      result.api_result = {
+        code: firstPage.header.resultCode !== undefined ? String(firstPage.header.resultCode) : null,
+        message: firstPage.header.resultMsg || null
+      };
+    }
 
-    await downloadPromise;
-    const endTime = Date.now();
-    const stats = fs.statSync(filePath);
+    // 검색 결과 요약 및 정규화된 항목 추가
+    if (firstPage.body) {
+      const items = collected ? collected.items : firstPage.items;
+      result.summary = {
+        total_count: collected ? collected.totalCount : firstPage.totalCount,
+        page_no: firstPage.body.pageNo || pageNo,
+        num_of_rows: firstPage.body.numOfRows || numOfRows,
+        items_count: items.length
+      };
+      if (collected) {
+        result.pagination = collected.pagination;
+      }
+      result.items = items;
+    }
+
+    // 원본 응답은 요청한 경우에만 포함 (페이지 순회 시 페이지별 배열)
+    if (includeRaw) {
+      const rawPages = pages.map(page => ({
+        data: page.parsedResponse || page.responseText,
+        raw_response: page.responseText
+      }));
+      result.data = paginate ? rawPages.map(page => page.data) : rawPages[0].data;
+      result.raw_response = paginate ? rawPages.map(page => page.raw_response) : rawPages[0].raw_response;
+    }
+
+    return result;
+  }
+
+  // 여러 카테고리를 동시에 검색하고 카테고리별로 묶어서 반환
+  async buildGroupedSearchResult(categories, params) {
+    const startTime = Date.now();
+    const groups = await Promise.all(categories.map(async (category) => {
+      const group = {
+        category_code: category,
+        category_name: KOSHA_SEARCH_CATEGORIES[category]
+      };
+      try {
+        const { search_params, ...categoryResult } = await this.buildCategorySearchResult({ ...params, category });
+        return {
+          ...group,
+          total_count: categoryResult.summary ? categoryResult.summary.total_count : 0,
+          items_count: categoryResult.items ? categoryResult.items.length : 0,
+          ...categoryResult
+        };
+      } catch (error) {
+        return {
+          ...group,
+          success: false,
+          total_count: 0,
+          items_count: 0,
+          error: error.message,
+          error_type: error.name || 'Error',
+          error_code: getToolErrorCode(error)
+        };
+      }
+    }));
 
+    // 모든 카테고리가 실패하면 카테고리별 오류 코드가 모두 같을 때 그 코드를, 아니면 TOOL_FAILED를 사용
+    const success = groups.some(group => group.success);
+    const errorCodes = new Set(groups.map(group => group.error_code || TOOL_ERROR_CODES.TOOL_FAILED));
     return {
-      success: true,
-      file_name: fileName,
-      file_path: filePath,
-      file_size_bytes: stats.size,
-      file_size_mb: (stats.size / (1024 * 1024)).toFixed(2),
-      download_duration_ms: endTime - startTime,
-      content_type: response.headers.get('content-type') || 'unknown'
+      success,
+      ...(success ? {} : {
+        error: '모든 카테고리 검색에 실패했습니다.',
+        error_code: errorCodes.size === 1 ? [...errorCodes][0] : TOOL_ERROR_CODES.TOOL_FAILED
+      }),
+      duration_ms: Date.now() - startTime,
+      search_params: {
+        searchValue: params.searchValue,
+        category: categories,
+        pageNo: params.pageNo,
+        numOfRows: params.numOfRows,
+        ...(params.fetchAll || params.maxResults ? { maxResults: params.maxResults || null, fetchAll: params.fetchAll } : {})
+      },
+      cache: this.summarizeCacheStatus(
+        params.cacheMode,
+        groups.reduce((sum, group) => sum + (group.cache ? group.cache.hits : 0), 0),
+        groups.reduce((sum, group) => sum + (group.cache ? group.cache.hits + group.cache.misses : 0), 0)
+      ),
+      summary: {
+        categories_count: groups.length,
+        total_count: groups.reduce((sum, group) => sum + group.total_count, 0),
+        items_count: groups.reduce((sum, group) => sum + group.items_count, 0),
+        counts_by_category: Object.fromEntries(groups.map(group => [group.category_code, group.items_count]))
+      },
+      groups
     };
   }
 
-  async executeKoshaSearch(args) {
+  async executeKoshaSearch(args, { signal = null } = {}) {
     try {
       const {
         searchValue,
         category = "0",
         pageNo = "1",
-        numOfRows = "100"
+        numOfRows = "100",
+        includeRaw = false,
+        maxResults,
+        fetchAll = false,
+        maxPages
       } = args;
 
-      // 서비스키 하드코딩
-      const serviceKey = "2412dbcc3334b992d01beeb1c5a32b3d7d54c64e9f011056a04edff66e7aeb6b";
-                         
       // 필수 매개변수 검증
-      if (!serviceKey) {
-        throw new Error("serviceKey는 필수 매개변수입니다.");
-      }
       if (!searchValue) {
-        throw new Error("searchValue는 필수 매개변수입니다.");
-      }
-
-      // API URL 구성
-      const url = new URL(this.apiBaseUrl);
-      url.searchParams.append('serviceKey', serviceKey);
-      url.searchParams.append('pageNo', pageNo);
-      url.searchParams.append('numOfRows', numOfRows);
-      url.searchParams.append('searchValue', searchValue);
-      url.searchParams.append('category', category);
-
-      // HTTP 요청 실행
-      const startTime = Date.now();
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'MCP-KOSHA-API-Tool/1.0.0',
-          'Accept': 'application/json'
-        },
-        timeout: 30000
-      });
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-
-      // 응답 본문 읽기
-      let responseText;
-      try {
-        responseText = await response.text();
-      } catch (error) {
-        responseText = `[응답 본문을 읽을 수 없습니다: ${error.message}]`;
-      }
-
-      // JSON 파싱 시도
-      let parsedResponse;
-      try {
-        parsedResponse = JSON.parse(responseText);
-      } catch (error) {
-        parsedResponse = null;
+        throw createInvalidArgumentsError("searchValue는 필수 매개변수입니다.", 'searchValue');
       }
 
-      // 결과 반환
-      const result = {
-        success: response.ok,
-        status_code: response.status,
-        status_text: response.statusText,
-        duration_ms: duration,
-        search_params: {
-          searchValue,
-          category,
-          pageNo,
-          numOfRows
-        },
-        data: parsedResponse || responseText,
-        raw_response: responseText
-      };
+      const categories = this.normalizeCategories(category);
+      const cacheMode = this.normalizeCacheMode(args.cacheMode);
+      const params = { searchValue, pageNo, numOfRows, includeRaw, maxResults, fetchAll, maxPages, cacheMode, signal };
 
-      // 검색 결과 요약 추가
-      if (parsedResponse && parsedResponse.response && parsedResponse.response.body) {
-        const body = parsedResponse.response.body;
-        result.summary = {
-          total_count: body.totalCount || 0,
-          page_no: body.pageNo || pageNo,
-          num_of_rows: body.numOfRows || numOfRows,
-          items_count: body.items ? body.items.length : 0
-        };
-      }
+      // 카테고리 배열이 주어지면 동시에 검색하여 카테고리별로 그룹화
+      const result = Array.isArray(category)
+        ? await this.buildGroupedSearchResult(categories, params)
+        : await this.buildCategorySearchResult({ ...params, category: categories[0] });
 
       return {
         content: [
@@ -1523,7 +7146,8 @@ export class KoshaApiMCPServer {
             type: "text",
             text: JSON.stringify(result, null, 2)
           }
-        ]
+        ],
+        ...(result.success ? {} : { isError: true })
       };
 
     } catch (error) {
@@ -1532,6 +7156,8 @@ export class KoshaApiMCPServer {
         success: false,
         error: error.message,
         error_type: error.name || 'Error',
+        error_code: getToolErrorCode(error),
+        errors: getToolErrorDetails(error),
         search_params: {
           searchValue: args.searchValue,
           category: args.category || "0",
@@ -1546,18 +7172,232 @@ export class KoshaApiMCPServer {
             type: "text",
             text: JSON.stringify(errorResult, null, 2)
           }
-        ]
+        ],
+        isError: true
       };
     }
   }
 
-  async run() {
+  // 전송 방식 결정 (명령행 --transport/--http/--host/--port → 환경변수 KOSHA_TRANSPORT/KOSHA_HTTP_HOST/KOSHA_HTTP_PORT → 설정 파일 transport, http 항목)
+  // 인증 토큰은 프로세스 목록에 드러나지 않도록 환경변수 KOSHA_HTTP_TOKEN 또는 설정 파일 http.token으로만 받음
+  resolveTransportOptions(argv = []) {
+    const httpConfig = this.config.http || {};
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+      const match = String(argv[i]).match(/^--([^=]+)(?:=(.*))?$/);
+      if (!match) continue;
+      if (MCP_TRANSPORTS.includes(match[1])) {
+        flags.transport = match[1];
+      } else {
+        flags[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+      }
+    }
+
+    const transport = String(flags.transport || process.env.KOSHA_TRANSPORT || this.config.transport || 'stdio').trim().toLowerCase();
+    if (!MCP_TRANSPORTS.includes(transport)) {
+      throw new Error(`지원하지 않는 전송 방식입니다: ${transport} (가능한 값: ${MCP_TRANSPORTS.join(', ')})`);
+    }
+    if (transport === 'stdio') {
+      return { transport };
+    }
+
+    const host = String(flags.host || process.env.KOSHA_HTTP_HOST || httpConfig.host || DEFAULT_HTTP_HOST).trim();
+    const port = parseInt(flags.port ?? process.env.KOSHA_HTTP_PORT ?? httpConfig.port ?? DEFAULT_HTTP_PORT, 10);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`HTTP 포트는 0~65535 사이의 정수여야 합니다: ${flags.port ?? process.env.KOSHA_HTTP_PORT ?? httpConfig.port}`);
+    }
+    const token = String(process.env.KOSHA_HTTP_TOKEN || httpConfig.token || '').trim() || null;
+    const loopback = HTTP_LOOPBACK_HOSTS.includes(host.toLowerCase());
+    // 다른 컴퓨터에서 접근할 수 있는 주소는 토큰 없이 열지 않음
+    if (!loopback && !token) {
+      throw new Error(`${host}에서 HTTP 서버를 열려면 KOSHA_HTTP_TOKEN(또는 설정 파일 http.token)으로 인증 토큰을 지정해야 합니다.`);
+    }
+
+    return { transport, host, port, token, loopback };
+  }
+
+  // Authorization: Bearer 토큰 확인 (토큰 길이가 드러나지 않도록 해시끼리 비교)
+  isAuthorizedHttpRequest(req, token) {
+    if (!token) {
+      return true;
+    }
+    const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1].trim()), digest(token));
+  }
+
+  // HTTP 오류 응답 (MCP 클라이언트가 읽을 수 있도록 JSON-RPC 오류 형식)
+  sendHttpError(res, status, message, headers = {}) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+  }
+
+  // Streamable HTTP 서버 시작 (세션마다 MCP 서버를 만들고 mcp-session-id 헤더로 구분)
+  async startHttpServer({ host, port, token, loopback }) {
+    const sessions = new Map();
+
+    const closeSession = async (sessionId, reason) => {
+      const session = sessions.get(sessionId);
+      if (!session) return;
+      sessions.delete(sessionId);
+      logger.run({ session: sessionId }, () => logger.info(`HTTP 세션 종료 (${reason})`, { sessions: sessions.size }), session.server);
+      this.releaseMcpServer(session.server);
+      await session.transport.close().catch(() => {});
+    };
+
+    const handleRequest = async (req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      // 루프백 주소로 열었으면 다른 호스트 이름으로 들어온 요청(DNS 리바인딩)은 거부
+      if (loopback) {
+        let requestHost = '';
+        try {
+          requestHost = new URL(`http://${req.headers.host || ''}`).hostname.toLowerCase();
+        } catch (error) {
+          // 잘못된 Host 헤더
+        }
+        if (!HTTP_LOOPBACK_HOSTS.includes(requestHost)) {
+          this.sendHttpError(res, 403, `허용되지 않은 Host 헤더입니다: ${req.headers.host || ''}`);
+          return;
+        }
+      }
+      if (url.pathname !== HTTP_MCP_PATH) {
+        this.sendHttpError(res, 404, `MCP 엔드포인트는 ${HTTP_MCP_PATH}입니다.`);
+        return;
+      }
+      if (!this.isAuthorizedHttpRequest(req, token)) {
+        logger.warning('HTTP 인증 실패', { remote: req.socket.remoteAddress });
+        this.sendHttpError(res, 401, '인증 토큰이 없거나 올바르지 않습니다.', { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      if (sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+          this.sendHttpError(res, 404, `세션을 찾을 수 없습니다 (만료되었거나 종료됨): ${sessionId}`);
+          return;
+        }
+        // 진행 중인 요청(GET 알림 스트림 포함)이 있는 세션은 만료시키지 않음
+        session.lastActive = Date.now();
+        session.activeRequests++;
+        res.on('close', () => {
+          session.activeRequests--;
+          session.lastActive = Date.now();
+        });
+        await logger.run({ session: sessionId }, () => session.transport.handleRequest(req, res), session.server);
+        return;
+      }
+
+      // 세션 ID가 없는 요청은 새 세션의 initialize 요청이어야 함 (아니면 전송 계층이 400으로 거부)
+      if (req.method !== 'POST') {
+        this.sendHttpError(res, 400, 'mcp-session-id 헤더가 필요합니다.');
+        return;
+      }
+      if (sessions.size >= MAX_HTTP_SESSIONS) {
+        this.sendHttpError(res, 503, `동시 세션 수 제한(${MAX_HTTP_SESSIONS})에 도달했습니다.`);
+        return;
+      }
+
+      const server = this.createMcpServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (newSessionId) => {
+          sessions.set(newSessionId, { server, transport, lastActive: Date.now(), activeRequests: 0 });
+          logger.run({ session: newSessionId }, () => logger.info('HTTP 세션 시작', {
+            remote: req.socket.remoteAddress,
+            sessions: sessions.size
+          }), server);
+        },
+        // 클라이언트가 DELETE 요청으로 세션을 끝낸 경우
+        onsessionclosed: (closedSessionId) => closeSession(closedSessionId, 'client')
+      });
+      transport.onclose = () => {
+        if (transport.sessionId && sessions.has(transport.sessionId)) {
+          closeSession(transport.sessionId, 'transport');
+        } else {
+          this.releaseMcpServer(server);
+        }
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res);
+      // initialize가 아니어서 세션이 만들어지지 않았으면 바로 정리
+      if (!transport.sessionId || !sessions.has(transport.sessionId)) {
+        this.releaseMcpServer(server);
+        await transport.close().catch(() => {});
+      }
+    };
+
+    const httpServer = http.createServer((req, res) => {
+      handleRequest(req, res).catch(error => {
+        logger.error(`HTTP 요청 처리 실패: ${error.message}`, { method: req.method, path: req.url });
+        this.sendHttpError(res, 500, '요청을 처리하지 못했습니다.');
+      });
+    });
+
+    // 오래 사용하지 않은 세션 정리
+    const sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [sessionId, session] of sessions) {
+        if (session.activeRequests <= 0 && now - session.lastActive > HTTP_SESSION_IDLE_TIMEOUT_MS) {
+          closeSession(sessionId, 'idle');
+        }
+      }
+    }, 60 * 1000);
+    sweeper.unref();
+
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(port, host, () => {
+        httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    // 종료 신호를 받으면 세션을 닫고 HTTP 서버 종료
+    const shutdown = async (signalName) => {
+      logger.info(`${signalName} 수신, HTTP 서버를 종료합니다.`, { sessions: sessions.size });
+      clearInterval(sweeper);
+      await Promise.all([...sessions.keys()].map(sessionId => closeSession(sessionId, 'shutdown')));
+      httpServer.close(() => process.exit(0));
+      httpServer.closeAllConnections();
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+    const address = httpServer.address();
+    this.httpServer = httpServer;
+    return { url: `http://${host.includes(':') && !host.startsWith('[') ? `[${host}]` : host}:${address.port}${HTTP_MCP_PATH}`, sessions };
+  }
+
+  async run(argv = process.argv.slice(2)) {
+    const options = this.resolveTransportOptions(argv);
+    if (options.transport === 'http') {
+      const { url } = await this.startHttpServer(options);
+      logger.info(`KOSHA API MCP Server가 시작되었습니다 (Streamable HTTP: ${url}).`, {
+        auth: options.token ? 'bearer' : 'none',
+        log_level: logger.level,
+        log_file: logger.filePath
+      });
+      return;
+    }
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
-    console.error("KOSHA API MCP Server가 시작되었습니다.");
+    logger.info("KOSHA API MCP Server가 시작되었습니다.", { log_level: logger.level, log_file: logger.filePath });
   }
 }
 
 // 서버 시작
 const server = new KoshaApiMCPServer();
-server.run().catch(console.error);
+server.run().catch(error => {
+  logger.critical(`서버 시작 실패: ${error.message}`);
+  process.exitCode = 1;
+});